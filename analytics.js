@@ -0,0 +1,725 @@
+// ============================================================
+// Palantir Analysis — analytics.js
+// Pure calculations on price series (no DOM, no Chart.js)
+// Loaded as window.Analytics in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // Indicators return arrays aligned with their input. Positions without
+  // enough history are null so the series plot with a leading gap.
+
+  // ── Moving Averages ───────────────────────────────────────
+  function sma(values, period) {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) out[i] = sum / period;
+    }
+    return out;
+  }
+
+  // Seeded with the SMA of the first `period` values; leading nulls in the
+  // input (e.g. a MACD line) are skipped before seeding.
+  function ema(values, period) {
+    const out = new Array(values.length).fill(null);
+    const k = 2 / (period + 1);
+    let start = 0;
+    while (start < values.length && values[start] == null) start++;
+    if (values.length - start < period) return out;
+
+    let prev = 0;
+    for (let i = start; i < start + period; i++) prev += values[i];
+    prev /= period;
+    out[start + period - 1] = prev;
+
+    for (let i = start + period; i < values.length; i++) {
+      prev = values[i] * k + prev * (1 - k);
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  // ── Bands & Volume-Weighted Price ─────────────────────────
+  // Population standard deviation, as in Bollinger's definition
+  function bollinger(values, period = 20, mult = 2) {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    for (let i = period - 1; i < values.length; i++) {
+      let variance = 0;
+      for (let j = i - period + 1; j <= i; j++) variance += (values[j] - middle[i]) ** 2;
+      const sd = Math.sqrt(variance / period);
+      upper[i] = middle[i] + mult * sd;
+      lower[i] = middle[i] - mult * sd;
+    }
+    return { middle, upper, lower };
+  }
+
+  // Anchored VWAP over the bars given, using the typical price (H+L+C)/3
+  function vwap(bars) {
+    let pv = 0;
+    let vol = 0;
+    return bars.map(bar => {
+      pv += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+      vol += bar.volume;
+      return vol > 0 ? pv / vol : null;
+    });
+  }
+
+  // ── Oscillators ───────────────────────────────────────────
+  // Wilder's RSI: simple average for the first window, then Wilder smoothing
+  function rsi(values, period = 14) {
+    const out = new Array(values.length).fill(null);
+    if (values.length <= period) return out;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = values[i] - values[i - 1];
+      if (change > 0) gain += change;
+      else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+    out[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+    for (let i = period + 1; i < values.length; i++) {
+      const change = values[i] - values[i - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+      out[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    }
+    return out;
+  }
+
+  function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const line = values.map((_, i) => (
+      fastEma[i] == null || slowEma[i] == null ? null : fastEma[i] - slowEma[i]
+    ));
+    const signalLine = ema(line, signal);
+    const histogram = line.map((v, i) => (
+      v == null || signalLine[i] == null ? null : v - signalLine[i]
+    ));
+    return { macd: line, signal: signalLine, histogram };
+  }
+
+  // On-balance volume, starting at 0 on the first bar
+  function obv(bars) {
+    let total = 0;
+    return bars.map((bar, i) => {
+      if (i > 0) {
+        if (bar.close > bars[i - 1].close) total += bar.volume;
+        else if (bar.close < bars[i - 1].close) total -= bar.volume;
+      }
+      return total;
+    });
+  }
+
+  // ── Signals ───────────────────────────────────────────────
+  // Indexes where `fast` crosses `slow`: { index, type: 'golden' | 'death' }
+  function crossovers(fast, slow) {
+    const out = [];
+    for (let i = 1; i < fast.length; i++) {
+      if ([fast[i - 1], slow[i - 1], fast[i], slow[i]].some(v => v == null)) continue;
+      const before = fast[i - 1] - slow[i - 1];
+      const after = fast[i] - slow[i];
+      if (before <= 0 && after > 0) out.push({ index: i, type: 'golden' });
+      else if (before >= 0 && after < 0) out.push({ index: i, type: 'death' });
+    }
+    return out;
+  }
+
+  // ── Corporate Actions ─────────────────────────────────────
+  // Back-adjusts as-traded bars. A bar may carry `split` (new shares per old
+  // share) and `dividend` (cash per share) on its ex-date; every earlier bar
+  // is scaled so returns across the event reflect what a holder kept, and
+  // earlier volume is scaled by the split ratio. Series without events but
+  // with a source `adjClose` use its ratio to close instead. The latest bar
+  // is unchanged either way.
+  function adjustBars(bars) {
+    const hasEvents = bars.some(b => b.split || b.dividend);
+    const out = new Array(bars.length);
+    let priceFactor = 1;
+    let volumeFactor = 1;
+    for (let i = bars.length - 1; i >= 0; i--) {
+      const bar = bars[i];
+      const factor = !hasEvents && bar.adjClose ? bar.adjClose / bar.close : priceFactor;
+      out[i] = Object.assign({}, bar, {
+        open: bar.open * factor,
+        high: bar.high * factor,
+        low: bar.low * factor,
+        close: bar.close * factor,
+        volume: bar.volume * volumeFactor,
+      });
+      if (bar.split) {
+        priceFactor /= bar.split;
+        volumeFactor *= bar.split;
+      }
+      if (bar.dividend && i > 0 && bar.dividend < bars[i - 1].close) {
+        priceFactor *= 1 - bar.dividend / bars[i - 1].close;
+      }
+    }
+    return out;
+  }
+
+  // ── Risk & Return ─────────────────────────────────────────
+  // Simple daily returns; out[i] is the move into bar i + 1
+  function dailyReturns(closes) {
+    const out = [];
+    for (let i = 1; i < closes.length; i++) out.push(closes[i] / closes[i - 1] - 1);
+    return out;
+  }
+
+  // Distance below the running peak at each bar (0 at new highs, -0.25 = 25% down)
+  function drawdowns(closes) {
+    let peak = -Infinity;
+    return closes.map(c => {
+      peak = Math.max(peak, c);
+      return c / peak - 1;
+    });
+  }
+
+  // Deepest drawdown with the indexes of its peak and trough
+  function maxDrawdown(closes) {
+    let peak = 0;
+    const worst = { depth: 0, peak: 0, trough: 0 };
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i] > closes[peak]) peak = i;
+      const depth = closes[i] / closes[peak] - 1;
+      if (depth < worst.depth) Object.assign(worst, { depth, peak, trough: i });
+    }
+    return worst;
+  }
+
+  // Equal-width bins from min to max: { edges (bins + 1), counts }
+  function histogram(values, bins = 30) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / bins || 1;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))]++; });
+    return { edges, counts };
+  }
+
+  // Annualized statistics for bars ({ date, close }) using 252 sessions a
+  // year. `riskFree` is an annual rate; Sortino uses downside deviation
+  // below it. best/worst hold the index of the bar that closed the move.
+  function riskStats(bars, { riskFree = 0, periodsPerYear = 252 } = {}) {
+    const closes = bars.map(b => b.close);
+    const returns = dailyReturns(closes);
+    const n = returns.length;
+    if (n < 2) return null;
+
+    const years = (bars[bars.length - 1].date - bars[0].date) / (365.25 * 86400000);
+    const mean = returns.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (n - 1));
+    const rfDaily = riskFree / periodsPerYear;
+    const downside = Math.sqrt(returns.reduce((a, r) => a + Math.min(0, r - rfDaily) ** 2, 0) / n);
+    const excess = (mean - rfDaily) * periodsPerYear;
+
+    let best = 0;
+    let worst = 0;
+    returns.forEach((r, i) => {
+      if (r > returns[best]) best = i;
+      if (r < returns[worst]) worst = i;
+    });
+
+    return {
+      returns,
+      totalReturn: closes[closes.length - 1] / closes[0] - 1,
+      cagr: years > 0 ? (closes[closes.length - 1] / closes[0]) ** (1 / years) - 1 : null,
+      volatility: sd * Math.sqrt(periodsPerYear),
+      sharpe: sd > 0 ? excess / (sd * Math.sqrt(periodsPerYear)) : null,
+      sortino: downside > 0 ? excess / (downside * Math.sqrt(periodsPerYear)) : null,
+      maxDrawdown: maxDrawdown(closes),
+      best: { index: best + 1, change: returns[best] },
+      worst: { index: worst + 1, change: returns[worst] },
+    };
+  }
+
+  // ── Relative Performance ──────────────────────────────────
+  // Scales `values` so the first non-null value at or after `from` becomes
+  // 100 ('rebased') or 0 ('percent'); earlier positions are null
+  function rebase(values, from = 0, mode = 'rebased') {
+    let base = null;
+    return values.map((v, i) => {
+      if (i < from || v == null) return null;
+      if (base == null) base = v;
+      return mode === 'percent' ? (v / base - 1) * 100 : (v / base) * 100;
+    });
+  }
+
+  // Rolling beta and correlation of `asset` against `bench` over `period`
+  // daily returns. Inputs are close arrays aligned by index and may hold
+  // nulls (e.g. a benchmark holiday); windows touching one are null.
+  function rollingBeta(asset, bench, period = 60) {
+    const ret = values => values.map((v, i) => (
+      i === 0 || v == null || values[i - 1] == null ? null : v / values[i - 1] - 1
+    ));
+    const a = ret(asset);
+    const b = ret(bench);
+    const beta = new Array(asset.length).fill(null);
+    const correlation = new Array(asset.length).fill(null);
+
+    for (let i = period; i < asset.length; i++) {
+      let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+      let complete = true;
+      for (let j = i - period + 1; j <= i; j++) {
+        if (a[j] == null || b[j] == null) {
+          complete = false;
+          break;
+        }
+        sa += a[j];
+        sb += b[j];
+        saa += a[j] * a[j];
+        sbb += b[j] * b[j];
+        sab += a[j] * b[j];
+      }
+      if (!complete) continue;
+      const cov = sab - (sa * sb) / period;
+      const varA = saa - (sa * sa) / period;
+      const varB = sbb - (sb * sb) / period;
+      if (varB > 0) beta[i] = cov / varB;
+      if (varA > 0 && varB > 0) correlation[i] = cov / Math.sqrt(varA * varB);
+    }
+    return { beta, correlation };
+  }
+
+  // ── Event Reactions ───────────────────────────────────────
+  // Move after news, from the close before bar `index` (the first session
+  // able to react) to the close `sessions` bars later, counting the reaction
+  // day as the first. best / worst are the extreme closes along the way.
+  // Windows running past the last bar are cut short and marked incomplete.
+  function eventReaction(bars, index, sessions) {
+    if (index < 1 || index >= bars.length || sessions < 1) return null;
+    const base = bars[index - 1].close;
+    const end = Math.min(index + sessions - 1, bars.length - 1);
+    const closes = bars.slice(index, end + 1).map(b => b.close);
+    return {
+      start: index,
+      end,
+      base,
+      close: bars[end].close,
+      change: bars[end].close / base - 1,
+      best: Math.max(...closes) / base - 1,
+      worst: Math.min(...closes) / base - 1,
+      complete: end - index + 1 === sessions,
+    };
+  }
+
+  // Earnings-day profile for the reaction session at `index`: the gap from
+  // the prior close to its open, the move over each window (null until that
+  // many sessions have traded) and its volume as a multiple of the
+  // `volumeSessions` sessions before it
+  function earningsReaction(bars, index, { windows = [1, 5, 20], volumeSessions = 30 } = {}) {
+    if (index < 1 || index >= bars.length) return null;
+    const trailing = bars.slice(Math.max(0, index - volumeSessions), index);
+    const avgVolume = trailing.reduce((s, b) => s + b.volume, 0) / trailing.length;
+    const moves = {};
+    windows.forEach(n => {
+      const reaction = eventReaction(bars, index, n);
+      moves[n] = reaction && reaction.complete ? reaction.change : null;
+    });
+    return {
+      gap: bars[index].open / bars[index - 1].close - 1,
+      moves,
+      volumeMultiple: avgVolume > 0 ? bars[index].volume / avgVolume : null,
+    };
+  }
+
+  // ── Positions ─────────────────────────────────────────────
+  // Shares held, market value and money invested at each as-traded bar for
+  // lots of { date, quantity, price }. A lot joins on the first bar on or
+  // after its date; splits on later ex-dates scale the shares already held.
+  function positionHistory(bars, lots) {
+    const sorted = lots.slice().sort((a, b) => a.date - b.date);
+    const shares = [];
+    const value = [];
+    const cost = [];
+    let held = 0;
+    let invested = 0;
+    let next = 0;
+    bars.forEach(bar => {
+      if (bar.split) held *= bar.split;
+      for (; next < sorted.length && sorted[next].date <= bar.date; next++) {
+        held += sorted[next].quantity;
+        invested += sorted[next].quantity * sorted[next].price;
+      }
+      shares.push(held);
+      value.push(held * bar.close);
+      cost.push(invested);
+    });
+    return { shares, value, cost };
+  }
+
+  // ── Backtesting ───────────────────────────────────────────
+  // Long-only strategies on daily bars ({ date, open, close }). A signal
+  // read at one bar's close fills at the next bar's open (the first bar's
+  // open for buy-and-hold and the first DCA buy), so no trade sees the price
+  // it acts on. Entries use all cash, exits sell everything, and shares are
+  // fractional. Indicators run over every bar given, but trading starts at
+  // `start`, so earlier bars only warm the averages up. Strategies:
+  //   { type: 'ma-cross', fast = 50, slow = 200 }   long while fast is above slow
+  //   { type: 'rsi', period = 14, buyBelow = 30, sellAbove = 70 }
+  //   { type: 'buy-hold' }
+  //   { type: 'dca', every = 21 }   capital in equal buys every `every` bars
+  const STRATEGY_DEFAULTS = {
+    'ma-cross': { fast: 50, slow: 200 },
+    rsi: { period: 14, buyBelow: 30, sellAbove: 70 },
+    'buy-hold': {},
+    dca: { every: 21 },
+  };
+
+  // Orders to fill at each bar's open from `start` on: 'buy' (all cash),
+  // 'sell' (all shares), a share of capital to invest, or null
+  function strategyOrders(bars, strategy, start = 0) {
+    const params = Object.assign({}, STRATEGY_DEFAULTS[strategy.type], strategy);
+    const orders = new Array(bars.length).fill(null);
+    const closes = bars.map(b => b.close);
+
+    if (strategy.type === 'ma-cross') {
+      if (!(params.fast > 0 && params.slow > params.fast)) throw new Error('ma-cross needs 0 < fast < slow');
+      // The trend at the close before `start` already counts, so a window
+      // that opens after a golden cross starts invested
+      const fast = sma(closes, params.fast);
+      const slow = sma(closes, params.slow);
+      for (let i = Math.max(start - 1, 0); i + 1 < bars.length; i++) {
+        if (fast[i] == null || slow[i] == null || fast[i] === slow[i]) continue;
+        orders[i + 1] = fast[i] > slow[i] ? 'buy' : 'sell';
+      }
+    } else if (strategy.type === 'rsi') {
+      if (!(params.period > 0 && params.buyBelow < params.sellAbove)) throw new Error('rsi needs buyBelow < sellAbove');
+      rsi(closes, params.period).forEach((r, i) => {
+        if (r == null || i + 1 < start || i + 1 >= bars.length) return;
+        if (r < params.buyBelow) orders[i + 1] = 'buy';
+        else if (r > params.sellAbove) orders[i + 1] = 'sell';
+      });
+    } else if (strategy.type === 'buy-hold') {
+      if (start < bars.length) orders[start] = 'buy';
+    } else if (strategy.type === 'dca') {
+      const every = Math.round(params.every);
+      if (!(every >= 1)) throw new Error('dca needs every >= 1');
+      const count = Math.ceil((bars.length - start) / every);
+      for (let i = start; i < bars.length; i += every) orders[i] = 1 / count;
+    } else {
+      throw new Error('unknown strategy ' + strategy.type);
+    }
+    return { params, orders };
+  }
+
+  // Runs orders against the bars. Fractional orders are shares of the
+  // starting capital. `commission` is dollars per fill; `slippage` moves
+  // each fill against the trade by that fraction of the open.
+  function runOrders(bars, orders, { capital, commission, slippage }) {
+    let cash = capital;
+    let lots = [];
+    const equity = [];
+    const trades = [];
+    let costs = 0;
+    let held = 0;
+
+    const buy = (i, budget) => {
+      const spend = Math.min(budget, cash) - commission;
+      if (spend <= 0) return;
+      const open = bars[i].open != null ? bars[i].open : bars[i].close;
+      const price = open * (1 + slippage);
+      const shares = spend / price;
+      cash -= spend + commission;
+      costs += commission + shares * (price - open);
+      lots.push({ entryIndex: i, entryDate: bars[i].date, entryPrice: price, shares, cost: spend + commission });
+    };
+
+    const sell = (i) => {
+      if (!lots.length) return;
+      const open = bars[i].open != null ? bars[i].open : bars[i].close;
+      const price = open * (1 - slippage);
+      const total = lots.reduce((s, lot) => s + lot.shares, 0);
+      cash += total * price - commission;
+      costs += commission + total * (open - price);
+      lots.forEach(lot => {
+        const proceeds = lot.shares * price - commission * lot.shares / total;
+        trades.push(Object.assign(lot, {
+          exitIndex: i,
+          exitDate: bars[i].date,
+          exitPrice: price,
+          pnl: proceeds - lot.cost,
+          return: proceeds / lot.cost - 1,
+          open: false,
+        }));
+      });
+      lots = [];
+    };
+
+    bars.forEach((bar, i) => {
+      const order = orders[i];
+      if (order === 'buy') {
+        if (!lots.length) buy(i, cash);
+      } else if (order === 'sell') {
+        sell(i);
+      } else if (typeof order === 'number') {
+        buy(i, order * capital);
+      }
+      if (lots.length) held++;
+      equity.push(cash + lots.reduce((s, lot) => s + lot.shares, 0) * bar.close);
+    });
+
+    // Positions still held are marked at the last close
+    const last = bars.length - 1;
+    lots.forEach(lot => {
+      const value = lot.shares * bars[last].close;
+      trades.push(Object.assign(lot, {
+        exitIndex: last,
+        exitDate: bars[last].date,
+        exitPrice: bars[last].close,
+        pnl: value - lot.cost,
+        return: value / lot.cost - 1,
+        open: true,
+      }));
+    });
+    trades.sort((a, b) => a.entryIndex - b.entryIndex);
+
+    const final = equity[last];
+    const years = (bars[last].date - bars[0].date) / (365.25 * 86400000);
+    // Open positions have no outcome yet, so the win rate counts closed trades
+    const closed = trades.filter(t => !t.open);
+    const wins = closed.filter(t => t.pnl > 0).length;
+    return {
+      equity,
+      trades,
+      stats: {
+        final,
+        totalReturn: final / capital - 1,
+        cagr: years > 0 && final > 0 ? (final / capital) ** (1 / years) - 1 : null,
+        maxDrawdown: maxDrawdown(equity),
+        trades: trades.length,
+        closedTrades: closed.length,
+        winRate: closed.length ? wins / closed.length : null,
+        exposure: held / bars.length,
+        costs,
+      },
+    };
+  }
+
+  // Equity curve, trades (open: true when marked at the last close) and
+  // summary stats for `strategy` over bars[start..], with buy-and-hold under
+  // the same costs as the benchmark. Equity and trade indices count from
+  // `start`. The same bars and settings always give the same result.
+  function backtest(bars, strategy, { capital = 10000, commission = 0, slippage = 0, start = 0 } = {}) {
+    if (!(start >= 0 && bars.length - start >= 2)) throw new Error('backtest needs at least two bars');
+    if (!(capital > 0) || commission < 0 || slippage < 0) throw new Error('invalid backtest costs');
+    const costs = { capital, commission, slippage };
+    const period = bars.slice(start);
+    const { params, orders } = strategyOrders(bars, strategy, start);
+    const result = runOrders(period, orders.slice(start), costs);
+    const benchmark = runOrders(period, strategyOrders(period, { type: 'buy-hold' }).orders, costs);
+    return Object.assign({ strategy: params }, result, {
+      benchmark: { equity: benchmark.equity, stats: benchmark.stats },
+    });
+  }
+
+  // ── Valuation ─────────────────────────────────────────────
+  // Multiple-based target: revenue compounds at `cagr` from `baseYear`, shares
+  // dilute at `dilution` a year, and the price is target-year revenue times the
+  // exit P/S over diluted shares. Rates are fractions (0.25 = 25%).
+  // `revenue` runs from baseYear through `endYear` (defaults to targetYear).
+  function projectScenario({ baseRevenue, baseYear, cagr, multiple, shares, dilution, targetYear, endYear }) {
+    const years = [];
+    const revenue = [];
+    for (let year = baseYear; year <= (endYear || targetYear); year++) {
+      years.push(year);
+      revenue.push(baseRevenue * (1 + cagr) ** (year - baseYear));
+    }
+    const horizon = targetYear - baseYear;
+    const targetRevenue = baseRevenue * (1 + cagr) ** horizon;
+    const dilutedShares = shares * (1 + dilution) ** horizon;
+    const marketCap = targetRevenue * multiple;
+    return {
+      years,
+      revenue,
+      targetRevenue,
+      dilutedShares,
+      marketCap,
+      price: marketCap / dilutedShares,
+    };
+  }
+
+  // Discounted cash flow over `years` explicit years. Revenue grows at
+  // `growth` from `baseRevenue`; the FCF margin moves linearly from
+  // `startMargin` to `endMargin`. Cash flows are discounted at year end and
+  // the terminal value is a Gordon growth perpetuity on the final year's FCF.
+  // Returns null when `wacc` does not exceed `terminalGrowth`.
+  function dcf({ baseRevenue, growth, startMargin, endMargin, years, wacc, terminalGrowth, netCash, shares }) {
+    if (wacc <= terminalGrowth) return null;
+    const forecast = [];
+    let revenue = baseRevenue;
+    let pvForecast = 0;
+    for (let t = 1; t <= years; t++) {
+      revenue *= 1 + growth;
+      const margin = startMargin + (endMargin - startMargin) * (t / years);
+      const fcf = revenue * margin;
+      const discounted = fcf / (1 + wacc) ** t;
+      pvForecast += discounted;
+      forecast.push({ t, revenue, margin, fcf, discounted });
+    }
+    const lastFcf = forecast[forecast.length - 1].fcf;
+    const terminalValue = lastFcf * (1 + terminalGrowth) / (wacc - terminalGrowth);
+    const pvTerminal = terminalValue / (1 + wacc) ** years;
+    const enterpriseValue = pvForecast + pvTerminal;
+    const equityValue = enterpriseValue + netCash;
+    return {
+      forecast,
+      pvForecast,
+      terminalValue,
+      pvTerminal,
+      enterpriseValue,
+      equityValue,
+      perShare: equityValue / shares,
+    };
+  }
+
+  // Reverse DCF: the constant growth rate at which dcf() values the stock at
+  // `price`, found by bisection. Value rises with growth while margins are
+  // positive; null if no rate in [lo, hi] reaches the price.
+  function impliedGrowth(params, price, lo = -0.5, hi = 2) {
+    const gap = g => {
+      const result = dcf(Object.assign({}, params, { growth: g }));
+      return result ? result.perShare - price : NaN;
+    };
+    if (!(gap(lo) <= 0 && gap(hi) >= 0)) return null;
+    while (hi - lo > 1e-7) {
+      const mid = (lo + hi) / 2;
+      if (gap(mid) < 0) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // ── Simulation ────────────────────────────────────────────
+  // Park-Miller minimal standard generator; returns uniforms in (0, 1).
+  // The same seed always yields the same sequence.
+  function createRng(seed) {
+    let state = seed % 2147483647;
+    if (state <= 0) state += 2147483646;
+    return function () {
+      state = (state * 16807) % 2147483647;
+      return (state - 1) / 2147483646;
+    };
+  }
+
+  function logReturns(closes) {
+    const out = [];
+    for (let i = 1; i < closes.length; i++) out.push(Math.log(closes[i] / closes[i - 1]));
+    return out;
+  }
+
+  // Monte Carlo price paths from `start` over `steps` sessions, driven by
+  // daily log returns either drawn from a normal fitted to `returns` ('gbm')
+  // or resampled from them ('bootstrap'). Paths advance together one step at
+  // a time so memory stays O(paths). `drift` replaces the historical mean
+  // daily log return when given (0 for a volatility-only run). For each `levels` price, `touch[i][t]`
+  // is the share of paths that reached it by step t (from whichever side
+  // `start` is on) and `above[i][t]` the share at or above it on step t.
+  function simulatePaths({ start, returns, steps, paths, method = 'gbm', seed = 1,
+    drift = null, levels = [], percentiles = [5, 25, 50, 75, 95] }) {
+    const random = createRng(seed);
+    const n = returns.length;
+    const mean = returns.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (n - 1));
+    const mu = drift == null ? mean : drift;
+
+    // Box-Muller, keeping the spare deviate
+    let spare = null;
+    function normal() {
+      if (spare != null) {
+        const z = spare;
+        spare = null;
+        return z;
+      }
+      const r = Math.sqrt(-2 * Math.log(random()));
+      const theta = 2 * Math.PI * random();
+      spare = r * Math.sin(theta);
+      return r * Math.cos(theta);
+    }
+    const draw = method === 'bootstrap'
+      ? () => returns[Math.floor(random() * n)] - mean + mu
+      : () => mu + sd * normal();
+
+    const prices = new Float64Array(paths).fill(start);
+    const sorted = new Float64Array(paths);
+    const touched = levels.map(() => new Uint8Array(paths));
+    const touchCount = levels.map(() => 0);
+    const bands = {};
+    percentiles.forEach(p => { bands[p] = [start]; });
+    const touch = levels.map(level => [level === start ? 1 : 0]);
+    const above = levels.map(level => [start >= level ? 1 : 0]);
+
+    for (let t = 1; t <= steps; t++) {
+      for (let j = 0; j < paths; j++) prices[j] *= Math.exp(draw());
+
+      sorted.set(prices);
+      sorted.sort();
+      percentiles.forEach(p => {
+        bands[p].push(sorted[Math.min(paths - 1, Math.floor(p / 100 * paths))]);
+      });
+
+      levels.forEach((level, i) => {
+        const upward = level >= start;
+        let count = 0;
+        for (let j = 0; j < paths; j++) {
+          if (prices[j] >= level) count++;
+          if (!touched[i][j] && (upward ? prices[j] >= level : prices[j] <= level)) {
+            touched[i][j] = 1;
+            touchCount[i]++;
+          }
+        }
+        touch[i].push(touchCount[i] / paths);
+        above[i].push(count / paths);
+      });
+    }
+
+    return { steps, paths, method, seed, mean: mu, sd, percentiles: bands, touch, above };
+  }
+
+  const Analytics = {
+    sma,
+    ema,
+    bollinger,
+    vwap,
+    rsi,
+    macd,
+    obv,
+    crossovers,
+    adjustBars,
+    dailyReturns,
+    drawdowns,
+    maxDrawdown,
+    histogram,
+    riskStats,
+    rebase,
+    rollingBeta,
+    eventReaction,
+    earningsReaction,
+    positionHistory,
+    STRATEGY_DEFAULTS,
+    backtest,
+    projectScenario,
+    dcf,
+    impliedGrowth,
+    createRng,
+    logReturns,
+    simulatePaths,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Analytics;
+  } else {
+    root.Analytics = Analytics;
+  }
+})(typeof self !== 'undefined' ? self : this);
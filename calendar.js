@@ -0,0 +1,258 @@
+// ============================================================
+// Palantir Analysis — calendar.js
+// NYSE trading calendar: holidays, early closes, session math
+// Loaded as window.TradingCalendar in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // Dates are local-midnight Date objects, the same shape as bar dates.
+  // Rules follow NYSE Rule 7.2 from 2000 on; earlier years are not modelled.
+
+  // One-off closures (national days of mourning, weather, 9/11)
+  const SPECIAL_CLOSURES = {
+    '2001-09-11': 'September 11 attacks',
+    '2001-09-12': 'September 11 attacks',
+    '2001-09-13': 'September 11 attacks',
+    '2001-09-14': 'September 11 attacks',
+    '2004-06-11': 'Day of mourning: Ronald Reagan',
+    '2007-01-02': 'Day of mourning: Gerald Ford',
+    '2012-10-29': 'Hurricane Sandy',
+    '2012-10-30': 'Hurricane Sandy',
+    '2018-12-05': 'Day of mourning: George H. W. Bush',
+    '2025-01-09': 'Day of mourning: Jimmy Carter',
+  };
+
+  function dateKey(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  function startOfDay(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  function addDays(d, n) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+  }
+
+  function isWeekend(d) {
+    const dow = d.getDay();
+    return dow === 0 || dow === 6;
+  }
+
+  // nth weekday of a month (n = -1 for the last one); weekday 0 = Sunday
+  function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+      const first = new Date(year, month, 1);
+      return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+    }
+    const last = new Date(year, month + 1, 0);
+    return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+  }
+
+  // Anonymous Gregorian algorithm
+  function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  }
+
+  // Saturday holidays move to Friday, Sunday holidays to Monday
+  function observed(d) {
+    if (d.getDay() === 6) return addDays(d, -1);
+    if (d.getDay() === 0) return addDays(d, 1);
+    return d;
+  }
+
+  const yearCache = {};
+
+  // { 'YYYY-MM-DD': name } for full-day closures and early (13:00) closes
+  function buildYear(year) {
+    const closed = {};
+    const early = {};
+    const close = (d, name) => { closed[dateKey(d)] = name; };
+
+    // New Year's on a Saturday is not made up on the Friday before
+    const newYear = new Date(year, 0, 1);
+    if (newYear.getDay() !== 6) close(observed(newYear), "New Year's Day");
+    close(nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+    close(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+    close(addDays(easterSunday(year), -2), 'Good Friday');
+    close(nthWeekday(year, 4, 1, -1), 'Memorial Day');
+    if (year >= 2022) close(observed(new Date(year, 5, 19)), 'Juneteenth');
+    close(observed(new Date(year, 6, 4)), 'Independence Day');
+    close(nthWeekday(year, 8, 1, 1), 'Labor Day');
+    const thanksgiving = nthWeekday(year, 10, 4, 4);
+    close(thanksgiving, 'Thanksgiving Day');
+    close(observed(new Date(year, 11, 25)), 'Christmas Day');
+
+    Object.keys(SPECIAL_CLOSURES).forEach(key => {
+      if (key.startsWith(year + '-')) closed[key] = SPECIAL_CLOSURES[key];
+    });
+
+    // Early closes only apply when the day is otherwise a normal session
+    [
+      [new Date(year, 6, 3), 'Independence Day eve'],
+      [addDays(thanksgiving, 1), 'Day after Thanksgiving'],
+      [new Date(year, 11, 24), 'Christmas Eve'],
+    ].forEach(([d, name]) => {
+      if (!isWeekend(d) && !closed[dateKey(d)]) early[dateKey(d)] = name;
+    });
+
+    return { closed, early };
+  }
+
+  function yearOf(d) {
+    const year = d.getFullYear();
+    return yearCache[year] || (yearCache[year] = buildYear(year));
+  }
+
+  // ── Queries ───────────────────────────────────────────────
+  function holidayName(d) {
+    return yearOf(d).closed[dateKey(d)] || null;
+  }
+
+  function isTradingDay(d) {
+    return !isWeekend(d) && !holidayName(d);
+  }
+
+  function isEarlyClose(d) {
+    return !!yearOf(d).early[dateKey(d)];
+  }
+
+  // [{ date, name }] full-day closures in a year, in date order
+  function holidays(year) {
+    const { closed } = yearOf(new Date(year, 0, 1));
+    return Object.keys(closed).sort().map(key => {
+      const [y, m, day] = key.split('-').map(Number);
+      return { date: new Date(y, m - 1, day), name: closed[key] };
+    });
+  }
+
+  // ── Session Math ──────────────────────────────────────────
+  // First session on or after `d`
+  function nextTradingDay(d) {
+    let day = startOfDay(d);
+    while (!isTradingDay(day)) day = addDays(day, 1);
+    return day;
+  }
+
+  // Last session on or before `d`
+  function previousTradingDay(d) {
+    let day = startOfDay(d);
+    while (!isTradingDay(day)) day = addDays(day, -1);
+    return day;
+  }
+
+  // Steps `n` sessions from `d` (negative goes back); `d` itself need not be a session
+  function addSessions(d, n) {
+    let day = startOfDay(d);
+    const step = n < 0 ? -1 : 1;
+    for (let left = Math.abs(n); left > 0;) {
+      day = addDays(day, step);
+      if (isTradingDay(day)) left--;
+    }
+    return day;
+  }
+
+  // Sessions after `from` up to and including `to`
+  function sessionsBetween(from, to) {
+    let count = 0;
+    const end = startOfDay(to);
+    for (let day = addDays(from, 1); day <= end; day = addDays(day, 1)) {
+      if (isTradingDay(day)) count++;
+    }
+    return count;
+  }
+
+  // First session of the `days` calendar days ending at `anchor` (inclusive)
+  function windowStart(anchor, days) {
+    return nextTradingDay(addDays(anchor, 1 - days));
+  }
+
+  // ── Market Hours ──────────────────────────────────────────
+  // Regular session 9:30 to 16:00 New York time, 13:00 on early-close days
+  const OPEN_MINUTES = 9 * 60 + 30;
+  const CLOSE_MINUTES = 16 * 60;
+  const EARLY_CLOSE_MINUTES = 13 * 60;
+
+  const newYorkParts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+  });
+
+  // New York wall-clock time of an instant (Date or epoch ms) as a local
+  // Date with the same fields, so it compares directly with bar dates
+  function exchangeTime(instant) {
+    const p = {};
+    newYorkParts.formatToParts(new Date(instant)).forEach(({ type, value }) => { p[type] = +value; });
+    return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  }
+
+  function atMinutes(day, minutes) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+  }
+
+  // Whether the regular session is trading at `now`. Open states carry the
+  // session's closesAt; closed ones the next opensAt and a reason. Times are
+  // exchange wall-clock; msToChange is how long until the state flips.
+  function marketState(now = new Date()) {
+    const time = exchangeTime(now);
+    const day = startOfDay(time);
+    const minutes = time.getHours() * 60 + time.getMinutes();
+    const trading = isTradingDay(day);
+    const early = trading && isEarlyClose(day);
+    const close = early ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES;
+
+    if (trading && minutes >= OPEN_MINUTES && minutes < close) {
+      const closesAt = atMinutes(day, close);
+      return { open: true, session: day, earlyClose: early, closesAt, msToChange: closesAt - time };
+    }
+    const session = trading && minutes < OPEN_MINUTES ? day : nextTradingDay(addDays(day, 1));
+    const opensAt = atMinutes(session, OPEN_MINUTES);
+    let reason = 'After hours';
+    if (!trading) reason = holidayName(day) || 'Weekend';
+    else if (minutes < OPEN_MINUTES) reason = 'Pre-market';
+    return { open: false, session, reason, opensAt, msToChange: opensAt - time };
+  }
+
+  const TradingCalendar = {
+    holidayName,
+    holidays,
+    isTradingDay,
+    isEarlyClose,
+    nextTradingDay,
+    previousTradingDay,
+    addSessions,
+    sessionsBetween,
+    windowStart,
+    exchangeTime,
+    marketState,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = TradingCalendar;
+  } else {
+    root.TradingCalendar = TradingCalendar;
+  }
+})(typeof self !== 'undefined' ? self : this);
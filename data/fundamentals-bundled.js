@@ -0,0 +1,269 @@
+// ============================================================
+// Palantir Analysis — data/fundamentals-bundled.js
+// Copy of data/fundamentals.json for pages that can't fetch it (file://,
+// a missing or broken file). test/fundamentals.test.js keeps them equal.
+// Loaded as window.BUNDLED_FUNDAMENTALS in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  const data = {
+    "schemaVersion": 1,
+    "asOf": "2025-02-03",
+    "sources": {
+      "pltr-2022-q1": {
+        "title": "Palantir Q1 2022 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2022-q2": {
+        "title": "Palantir Q2 2022 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2022-q3": {
+        "title": "Palantir Q3 2022 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2022-q4": {
+        "title": "Palantir Q4 2022 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2023-q1": {
+        "title": "Palantir Q1 2023 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2023-q2": {
+        "title": "Palantir Q2 2023 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2023-q3": {
+        "title": "Palantir Q3 2023 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2023-q4": {
+        "title": "Palantir Q4 2023 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2024-q1": {
+        "title": "Palantir Q1 2024 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2024-q2": {
+        "title": "Palantir Q2 2024 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2024-q3": {
+        "title": "Palantir Q3 2024 earnings release",
+        "url": "https://investors.palantir.com/"
+      },
+      "pltr-2024-q4": {
+        "title": "Palantir Q4 2024 earnings release",
+        "url": "https://investors.palantir.com/",
+        "date": "2025-02-03"
+      },
+      "pltr-10k": {
+        "title": "Palantir annual reports on Form 10-K, FY2020-FY2024",
+        "url": "https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&CIK=0001321655&type=10-K"
+      },
+      "peer-filings": {
+        "title": "Peer annual reports, latest fiscal year (rounded)"
+      }
+    },
+    "companies": {
+      "PLTR": {
+        "name": "Palantir",
+        "sharesOutstanding": 2360000000,
+        "grossMargin": 0.81,
+        "customers": 593,
+        "netCash": 5230000000,
+        "netCashSource": "pltr-2024-q4",
+        "source": "pltr-10k"
+      },
+      "SNOW": {
+        "name": "Snowflake",
+        "sharesOutstanding": 334000000,
+        "revenue": 3630000000,
+        "revenueGrowth": 0.32,
+        "grossMargin": 0.71,
+        "fcfMargin": 0.08,
+        "source": "peer-filings"
+      },
+      "DDOG": {
+        "name": "Datadog",
+        "sharesOutstanding": 340000000,
+        "revenue": 2680000000,
+        "revenueGrowth": 0.26,
+        "grossMargin": 0.8,
+        "fcfMargin": 0.33,
+        "source": "peer-filings"
+      },
+      "CRWD": {
+        "name": "CrowdStrike",
+        "sharesOutstanding": 246000000,
+        "revenue": 3950000000,
+        "revenueGrowth": 0.33,
+        "grossMargin": 0.75,
+        "fcfMargin": 0.32,
+        "source": "peer-filings"
+      },
+      "NET": {
+        "name": "Cloudflare",
+        "sharesOutstanding": 343000000,
+        "revenue": 1670000000,
+        "revenueGrowth": 0.3,
+        "grossMargin": 0.77,
+        "fcfMargin": 0.14,
+        "source": "peer-filings"
+      },
+      "AI": {
+        "name": "C3.ai",
+        "sharesOutstanding": 128000000,
+        "revenue": 389000000,
+        "revenueGrowth": 0.18,
+        "grossMargin": 0.59,
+        "fcfMargin": -0.25,
+        "source": "peer-filings"
+      }
+    },
+    "quarterly": {
+      "PLTR": [
+        {
+          "period": "2022-Q1",
+          "revenue": 446,
+          "yoyGrowth": 31,
+          "gaapNetIncome": -101,
+          "fcf": 30,
+          "source": "pltr-2022-q1"
+        },
+        {
+          "period": "2022-Q2",
+          "revenue": 473,
+          "yoyGrowth": 26,
+          "gaapNetIncome": -179,
+          "fcf": -3,
+          "source": "pltr-2022-q2"
+        },
+        {
+          "period": "2022-Q3",
+          "revenue": 478,
+          "yoyGrowth": 22,
+          "gaapNetIncome": -124,
+          "fcf": 37,
+          "source": "pltr-2022-q3"
+        },
+        {
+          "period": "2022-Q4",
+          "revenue": 509,
+          "yoyGrowth": 18,
+          "gaapNetIncome": -73,
+          "fcf": 104,
+          "source": "pltr-2022-q4"
+        },
+        {
+          "period": "2023-Q1",
+          "revenue": 525,
+          "yoyGrowth": 18,
+          "gaapNetIncome": -17,
+          "fcf": 54,
+          "source": "pltr-2023-q1"
+        },
+        {
+          "period": "2023-Q2",
+          "revenue": 533,
+          "yoyGrowth": 13,
+          "gaapNetIncome": 28,
+          "fcf": 90,
+          "source": "pltr-2023-q2"
+        },
+        {
+          "period": "2023-Q3",
+          "revenue": 558,
+          "yoyGrowth": 17,
+          "gaapNetIncome": 72,
+          "fcf": 141,
+          "source": "pltr-2023-q3"
+        },
+        {
+          "period": "2023-Q4",
+          "revenue": 608,
+          "yoyGrowth": 20,
+          "gaapNetIncome": 93,
+          "fcf": 305,
+          "source": "pltr-2023-q4"
+        },
+        {
+          "period": "2024-Q1",
+          "revenue": 634,
+          "yoyGrowth": 21,
+          "gaapNetIncome": 106,
+          "fcf": 148,
+          "source": "pltr-2024-q1"
+        },
+        {
+          "period": "2024-Q2",
+          "revenue": 678,
+          "yoyGrowth": 27,
+          "gaapNetIncome": 134,
+          "fcf": 149,
+          "source": "pltr-2024-q2"
+        },
+        {
+          "period": "2024-Q3",
+          "revenue": 726,
+          "yoyGrowth": 30,
+          "gaapNetIncome": 144,
+          "fcf": 435,
+          "source": "pltr-2024-q3"
+        },
+        {
+          "period": "2024-Q4",
+          "revenue": 828,
+          "yoyGrowth": 36,
+          "gaapNetIncome": 162,
+          "fcf": 517,
+          "source": "pltr-2024-q4"
+        }
+      ]
+    },
+    "segments": {
+      "PLTR": [
+        {
+          "year": 2020,
+          "government": 610,
+          "commercial": 482,
+          "source": "pltr-10k"
+        },
+        {
+          "year": 2021,
+          "government": 645,
+          "commercial": 645,
+          "source": "pltr-10k"
+        },
+        {
+          "year": 2022,
+          "government": 897,
+          "commercial": 1009,
+          "source": "pltr-10k"
+        },
+        {
+          "year": 2023,
+          "government": 1222,
+          "commercial": 1058,
+          "source": "pltr-10k"
+        },
+        {
+          "year": 2024,
+          "government": 1582,
+          "commercial": 1289,
+          "source": "pltr-10k"
+        }
+      ]
+    }
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = data;
+  } else {
+    root.BUNDLED_FUNDAMENTALS = data;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,120 @@
+// ============================================================
+// Palantir Analysis — events.js
+// Schema check and lookups for data/events.json
+// Loaded as window.Events in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // Dataset layout (schemaVersion 1):
+  //   asOf    'YYYY-MM-DD' the list is current to
+  //   events  { SYMBOL: [{ id, date 'YYYY-MM-DD', precision?, type, title,
+  //             summary?, period?, timing?, timeline? }] }
+  // precision is 'day' (default), 'month' or 'year'; coarser events keep the
+  // first day of their period as the date. timing says whether news came
+  // before the open or after the close; earnings also carry the fiscal period
+  // ('YYYY-Qn'). timeline: true lists the event in the company timeline.
+  const SCHEMA_VERSION = 1;
+
+  const TYPES = ['earnings', 'listing', 'index', 'product', 'company', 'market'];
+  const PRECISIONS = ['day', 'month', 'year'];
+  const TIMINGS = ['before-open', 'after-close'];
+
+  const FIELDS = {
+    id: v => typeof v === 'string' && /^[a-z0-9-]+$/.test(v),
+    date: v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+    precision: v => PRECISIONS.includes(v),
+    type: v => TYPES.includes(v),
+    title: v => typeof v === 'string' && v.trim() !== '',
+    summary: v => typeof v === 'string',
+    period: v => typeof v === 'string' && /^\d{4}-Q[1-4]$/.test(v),
+    timing: v => TIMINGS.includes(v),
+    timeline: v => typeof v === 'boolean',
+  };
+  const REQUIRED = ['id', 'date', 'type', 'title'];
+
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  // [] when the dataset matches the schema, otherwise one message per problem
+  function validate(data) {
+    if (!isObject(data)) return ['dataset: expected an object'];
+    const errors = [];
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+      errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(data.schemaVersion)}`);
+    }
+    if (!FIELDS.date(data.asOf)) errors.push('asOf: expected YYYY-MM-DD');
+
+    if (!isObject(data.events)) {
+      errors.push('events: expected an object keyed by symbol');
+    } else {
+      Object.keys(data.events).forEach(symbol => {
+        const list = data.events[symbol];
+        const path = 'events.' + symbol;
+        if (!Array.isArray(list)) {
+          errors.push(path + ': expected an array');
+          return;
+        }
+        const seen = new Set();
+        list.forEach((event, i) => {
+          const at = `${path}[${i}]`;
+          if (!isObject(event)) {
+            errors.push(at + ': expected an object');
+            return;
+          }
+          REQUIRED.forEach(field => {
+            if (event[field] == null) errors.push(`${at}.${field}: required`);
+          });
+          Object.keys(event).forEach(field => {
+            if (!FIELDS[field]) {
+              errors.push(`${at}.${field}: unknown field`);
+            } else if (event[field] != null && !FIELDS[field](event[field])) {
+              errors.push(`${at}.${field}: invalid ${JSON.stringify(event[field])}`);
+            }
+          });
+          if (seen.has(event.id)) errors.push(`${at}.id: duplicate ${event.id}`);
+          seen.add(event.id);
+        });
+      });
+    }
+
+    Object.keys(data).forEach(key => {
+      if (!['schemaVersion', 'asOf', 'events'].includes(key)) errors.push(key + ': unknown top-level field');
+    });
+    return errors;
+  }
+
+  // A symbol's events oldest first, with `day` as a local-midnight Date and
+  // precision filled in
+  function forSymbol(data, symbol) {
+    return ((data.events || {})[symbol] || [])
+      .map(e => {
+        const [y, m, d] = e.date.split('-').map(Number);
+        return Object.assign({ precision: 'day', timing: null, timeline: false }, e, { day: new Date(y, m - 1, d) });
+      })
+      .sort((a, b) => a.day - b.day);
+  }
+
+  // Last calendar day covered by an event: the day itself, or the end of its
+  // month or year
+  function lastDay(event) {
+    const { day, precision } = event;
+    if (precision === 'year') return new Date(day.getFullYear(), 11, 31);
+    if (precision === 'month') return new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    return day;
+  }
+
+  const Events = {
+    SCHEMA_VERSION,
+    TYPES,
+    validate,
+    forSymbol,
+    lastDay,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Events;
+  } else {
+    root.Events = Events;
+  }
+})(typeof self !== 'undefined' ? self : this);
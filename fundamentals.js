@@ -0,0 +1,327 @@
+// ============================================================
+// Palantir Analysis — fundamentals.js
+// Schema check and derived views for data/fundamentals.json
+// Loaded as window.Fundamentals in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // Dataset layout (schemaVersion 1):
+  //   asOf       'YYYY-MM-DD' the figures are current to
+  //   sources    { id: { title, url?, date? } }
+  //   companies  { SYMBOL: { name, sharesOutstanding, revenue?, revenueGrowth?,
+  //                grossMargin?, fcfMargin?, customers?, fiscalYear?,
+  //                netCash?, netCashSource?, source } }
+  //   quarterly  { SYMBOL: [{ period 'YYYY-Qn', revenue, revenueEstimate?,
+  //                yoyGrowth?, gaapNetIncome?, fcf?, source }] }  ($M, growth in %)
+  //   segments   { SYMBOL: [{ year, government, commercial, source }] }  ($M)
+  // Company revenue and netCash (cash and investments less debt) are in
+  // dollars and growth/margins are fractions. netCashSource cites the
+  // balance sheet when it isn't the record's source. Symbols
+  // with quarterly records get revenue, growth and FCF margin from them.
+  const SCHEMA_VERSION = 1;
+
+  // The page is built around this company: the dataset must have its record
+  // and at least one complete fiscal year of its quarters
+  const PRIMARY = 'PLTR';
+
+  const FIELDS = {
+    source: { title: 'string', url: 'string?', date: 'date?' },
+    company: {
+      name: 'string',
+      sharesOutstanding: 'positive',
+      revenue: 'positive?',
+      revenueGrowth: 'number?',
+      grossMargin: 'number?',
+      fcfMargin: 'number?',
+      customers: 'positive?',
+      fiscalYear: 'year?',
+      netCash: 'number?',
+      netCashSource: 'source?',
+      source: 'source',
+    },
+    quarter: {
+      period: 'period',
+      revenue: 'positive',
+      revenueEstimate: 'positive?',
+      yoyGrowth: 'number?',
+      gaapNetIncome: 'number?',
+      fcf: 'number?',
+      source: 'source',
+    },
+    segment: { year: 'year', government: 'positive', commercial: 'positive', source: 'source' },
+  };
+
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  function checkValue(type, value, sources) {
+    switch (type) {
+      case 'string': return typeof value === 'string' && value.trim() !== '';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'positive': return typeof value === 'number' && Number.isFinite(value) && value > 0;
+      case 'year': return Number.isInteger(value) && value >= 1900 && value <= 2100;
+      case 'date': return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+      case 'period': return typeof value === 'string' && /^\d{4}-Q[1-4]$/.test(value);
+      case 'source': return typeof value === 'string' && isObject(sources) && isObject(sources[value]);
+      default: return false;
+    }
+  }
+
+  // Pushes "path.field: problem" messages for one record
+  function checkRecord(record, spec, path, sources, errors) {
+    if (!isObject(record)) {
+      errors.push(path + ': expected an object');
+      return;
+    }
+    Object.keys(spec).forEach(field => {
+      const optional = spec[field].endsWith('?');
+      const type = spec[field].replace('?', '');
+      const value = record[field];
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`${path}.${field}: required`);
+      } else if (!checkValue(type, value, sources)) {
+        errors.push(`${path}.${field}: ${type === 'source' ? 'unknown source ' + JSON.stringify(value) : 'expected ' + type}`);
+      }
+    });
+    Object.keys(record).forEach(field => {
+      if (!(field in spec)) errors.push(`${path}.${field}: unknown field`);
+    });
+  }
+
+  // Records keyed by symbol, each list unique on `key`
+  function checkSeries(group, name, spec, key, sources, errors) {
+    if (group === undefined) return;
+    if (!isObject(group)) {
+      errors.push(name + ': expected an object keyed by symbol');
+      return;
+    }
+    Object.keys(group).forEach(symbol => {
+      const list = group[symbol];
+      const path = name + '.' + symbol;
+      if (!Array.isArray(list)) {
+        errors.push(path + ': expected an array');
+        return;
+      }
+      const seen = new Set();
+      list.forEach((record, i) => {
+        checkRecord(record, spec, `${path}[${i}]`, sources, errors);
+        if (!isObject(record)) return;
+        if (seen.has(record[key])) errors.push(`${path}[${i}].${key}: duplicate ${record[key]}`);
+        seen.add(record[key]);
+      });
+    });
+  }
+
+  // [] when the dataset matches the schema, otherwise one message per problem
+  function validate(data) {
+    const errors = [];
+    if (!isObject(data)) return ['dataset: expected an object'];
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+      errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(data.schemaVersion)}`);
+    }
+    if (!checkValue('date', data.asOf)) errors.push('asOf: expected YYYY-MM-DD');
+
+    const sources = data.sources;
+    if (!isObject(sources)) {
+      errors.push('sources: expected an object');
+    } else {
+      Object.keys(sources).forEach(id => checkRecord(sources[id], FIELDS.source, 'sources.' + id, sources, errors));
+    }
+
+    if (!isObject(data.companies)) {
+      errors.push('companies: expected an object keyed by symbol');
+    } else {
+      Object.keys(data.companies).forEach(symbol => {
+        const company = data.companies[symbol];
+        checkRecord(company, FIELDS.company, 'companies.' + symbol, sources, errors);
+        const hasQuarters = isObject(data.quarterly) && Array.isArray(data.quarterly[symbol]);
+        if (isObject(company) && company.revenue == null && !hasQuarters) {
+          errors.push(`companies.${symbol}.revenue: required without quarterly records`);
+        }
+      });
+    }
+
+    checkSeries(data.quarterly, 'quarterly', FIELDS.quarter, 'period', sources, errors);
+    checkSeries(data.segments, 'segments', FIELDS.segment, 'year', sources, errors);
+
+    if (isObject(data.companies) && data.companies[PRIMARY] === undefined) {
+      errors.push(`companies.${PRIMARY}: required`);
+    }
+    if (!errors.length && !fiscalYears(data, PRIMARY).length) {
+      errors.push(`quarterly.${PRIMARY}: needs all four quarters of at least one fiscal year`);
+    }
+
+    Object.keys(data).forEach(key => {
+      if (!['schemaVersion', 'asOf', 'sources', 'companies', 'quarterly', 'segments'].includes(key)) {
+        errors.push(key + ': unknown top-level field');
+      }
+    });
+    return errors;
+  }
+
+  // ── Derived Views ─────────────────────────────────────────
+  function periodLabel(period) {
+    const [year, quarter] = period.split('-');
+    return quarter + '\'' + year.slice(2);
+  }
+
+  // Quarterly records in period order, labelled, with YoY growth derived
+  // from the same quarter a year earlier when the dataset omits it
+  function quarters(data, symbol) {
+    const list = ((data.quarterly || {})[symbol] || []).slice()
+      .sort((a, b) => (a.period < b.period ? -1 : 1));
+    const byPeriod = new Map(list.map(q => [q.period, q]));
+    return list.map(q => {
+      const [year, quarter] = q.period.split('-');
+      const prior = byPeriod.get((+year - 1) + '-' + quarter);
+      let yoyGrowth = q.yoyGrowth != null ? q.yoyGrowth : null;
+      if (yoyGrowth == null && prior) yoyGrowth = Math.round((q.revenue / prior.revenue - 1) * 100);
+      return Object.assign({}, q, { label: periodLabel(q.period), yoyGrowth });
+    });
+  }
+
+  function previousPeriod(period) {
+    const [year, quarter] = period.split('-Q').map(Number);
+    return quarter === 1 ? (year - 1) + '-Q4' : year + '-Q' + (quarter - 1);
+  }
+
+  // Reported revenue against what was expected: the consensus
+  // revenueEstimate when the record has one, otherwise the trend (the prior
+  // quarter grown at the average sequential growth of the TREND_QUARTERS
+  // before it). surprise is a fraction; quarters with neither are left out.
+  const TREND_QUARTERS = 3;
+
+  function revenueSurprises(data, symbol) {
+    const list = quarters(data, symbol);
+    const byPeriod = new Map(list.map(q => [q.period, q]));
+    const result = [];
+    list.forEach(q => {
+      let expected = q.revenueEstimate;
+      let basis = 'consensus';
+      if (expected == null) {
+        const prior = [];
+        let period = q.period;
+        while (prior.length <= TREND_QUARTERS) {
+          period = previousPeriod(period);
+          if (!byPeriod.has(period)) return; // not enough history
+          prior.unshift(byPeriod.get(period));
+        }
+        let growth = 0;
+        for (let i = 1; i < prior.length; i++) growth += prior[i].revenue / prior[i - 1].revenue - 1;
+        expected = prior[prior.length - 1].revenue * (1 + growth / TREND_QUARTERS);
+        basis = 'trend';
+      }
+      result.push({
+        period: q.period,
+        label: q.label,
+        revenue: q.revenue,
+        expected,
+        basis,
+        surprise: q.revenue / expected - 1,
+      });
+    });
+    return result;
+  }
+
+  // Fiscal years with all four quarters reported, oldest first ($M)
+  function fiscalYears(data, symbol) {
+    const years = new Map();
+    quarters(data, symbol).forEach(q => {
+      const year = +q.period.slice(0, 4);
+      if (!years.has(year)) years.set(year, []);
+      years.get(year).push(q);
+    });
+    const sum = (list, field) => (list.every(q => q[field] != null)
+      ? list.reduce((s, q) => s + q[field], 0)
+      : null);
+    const result = [];
+    years.forEach((list, year) => {
+      if (list.length !== 4) return;
+      const prior = result.length && result[result.length - 1].year === year - 1 ? result[result.length - 1] : null;
+      const revenue = sum(list, 'revenue');
+      result.push({
+        year,
+        revenue,
+        growth: prior ? revenue / prior.revenue - 1 : null,
+        gaapNetIncome: sum(list, 'gaapNetIncome'),
+        fcf: sum(list, 'fcf'),
+        source: list[list.length - 1].source,
+      });
+    });
+    return result;
+  }
+
+  // Trailing twelve months ($M): the latest four consecutive quarters that
+  // all report FCF, or the latest four when none do (fcf is then null).
+  // growth compares revenue with the same quarters a year earlier and is
+  // null without them. null when no four quarters run consecutively.
+  function trailingYear(data, symbol) {
+    const list = quarters(data, symbol);
+    const byPeriod = new Map(list.map(q => [q.period, q]));
+    const windows = [];
+    list.forEach(q => {
+      const run = [q];
+      while (run.length < 4 && byPeriod.has(previousPeriod(run[0].period))) {
+        run.unshift(byPeriod.get(previousPeriod(run[0].period)));
+      }
+      if (run.length === 4) windows.push(run);
+    });
+    if (!windows.length) return null;
+
+    const hasFcf = run => run.every(q => q.fcf != null);
+    const ttm = windows.slice().reverse().find(hasFcf) || windows[windows.length - 1];
+    const sum = (list, field) => list.reduce((s, q) => s + q[field], 0);
+    const prior = ttm.map(q => byPeriod.get((+q.period.slice(0, 4) - 1) + q.period.slice(4)));
+    const revenue = sum(ttm, 'revenue');
+    return {
+      quarters: ttm,
+      revenue,
+      fcf: hasFcf(ttm) ? sum(ttm, 'fcf') : null,
+      growth: prior.every(Boolean) ? revenue / sum(prior, 'revenue') - 1 : null,
+    };
+  }
+
+  // Peer-table view of one company: revenue in dollars, growth and margins
+  // as fractions. null for symbols the dataset does not cover.
+  function company(data, symbol) {
+    const record = (data.companies || {})[symbol];
+    if (!record) return null;
+    const result = Object.assign({
+      revenueGrowth: null,
+      grossMargin: null,
+      fcfMargin: null,
+      customers: null,
+    }, record);
+    const years = fiscalYears(data, symbol);
+    const latest = years[years.length - 1];
+    if (latest) {
+      result.fiscalYear = latest.year;
+      result.revenue = latest.revenue * 1e6;
+      if (latest.growth != null) result.revenueGrowth = latest.growth;
+      if (latest.fcf != null) result.fcfMargin = latest.fcf / latest.revenue;
+    }
+    return result;
+  }
+
+  function source(data, id) {
+    return (data.sources || {})[id] || null;
+  }
+
+  const Fundamentals = {
+    SCHEMA_VERSION,
+    validate,
+    quarters,
+    fiscalYears,
+    trailingYear,
+    revenueSurprises,
+    company,
+    source,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Fundamentals;
+  } else {
+    root.Fundamentals = Fundamentals;
+  }
+})(typeof self !== 'undefined' ? self : this);
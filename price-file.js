@@ -0,0 +1,415 @@
+// ============================================================
+// Palantir Analysis — price-file.js
+// Reads user-supplied OHLCV files (Yahoo, Stooq, broker CSV exports
+// or JSON) into daily bars, reporting what was fixed or dropped
+// Loaded as window.PriceFile in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // Header aliases, compared after lower-casing and stripping <>, quotes,
+  // dots, underscores and repeated spaces
+  const COLUMNS = {
+    date: ['date', 'datum', 'day', 'datetime', 'date time', 'date/time', 'timestamp', 'trade date', 'trading day', 't'],
+    time: ['time', 'time of day'],
+    open: ['open', 'o', 'open price', 'opening price', 'eröffnung', 'erster'],
+    high: ['high', 'h', 'high price', 'max', 'hoch'],
+    low: ['low', 'l', 'low price', 'min', 'tief'],
+    close: ['close', 'c', 'close price', 'closing price', 'close/last', 'last', 'last price', 'price', 'schluss', 'schlusskurs', 'letzter'],
+    adjClose: ['adj close', 'adjclose', 'adjusted close', 'adj close price', 'adjusted close price'],
+    dividend: ['dividend', 'dividends', 'dividend amount', 'div', 'cash dividend'],
+    split: ['split', 'splits', 'stock splits', 'stock split', 'split coefficient', 'split ratio', 'split factor'],
+    volume: ['volume', 'vol', 'v', 'shares', 'shares traded', 'qty', 'volumen'],
+    ticker: ['ticker', 'symbol'],
+  };
+
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const MAX_EXAMPLES = 5;
+
+  function normalizeHeader(name) {
+    return String(name).toLowerCase().replace(/[<>"'.]/g, '').replace(/[_\s]+/g, ' ').trim();
+  }
+
+  // Maps field -> column index (or object key) from a header row
+  function detectColumns(headers) {
+    const names = headers.map(normalizeHeader);
+    const columns = {};
+    Object.keys(COLUMNS).forEach(field => {
+      const i = names.findIndex((name, idx) => COLUMNS[field].includes(name) && !Object.values(columns).includes(idx));
+      if (i >= 0) columns[field] = i;
+    });
+    // A lone "time" column holds the timestamp itself
+    if (columns.date == null && columns.time != null) {
+      columns.date = columns.time;
+      delete columns.time;
+    }
+    return columns;
+  }
+
+  // ── CSV ───────────────────────────────────────────────────
+  function detectDelimiter(line) {
+    const counts = [',', ';', '\t', '|'].map(d => [d, line.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  // Splits one line, honouring double-quoted fields
+  function splitLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (quoted && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (ch === delimiter && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // "$1,234.50", "1.234,50" (with decimalComma) or "(12.5)" to a number
+  function parseNumber(value, decimalComma) {
+    if (value == null) return NaN;
+    if (typeof value === 'number') return value;
+    let s = String(value).trim().replace(/[$€£\s]/g, '');
+    if (s === '' || /^(n\/a|null|nan|-)$/i.test(s)) return NaN;
+    const negative = /^\(.*\)$/.test(s);
+    if (negative) s = s.slice(1, -1);
+    s = decimalComma ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+    const n = Number(s);
+    return negative ? -n : n;
+  }
+
+  // ── Dates ─────────────────────────────────────────────────
+  // Each parser returns [year, month (1-12), day, hour, minute] or null
+  const TIME = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*([ap]m)?)?\\s*(?:Z|[+-]\\d{2}:?\\d{2})?$';
+
+  function withTime(parts, match, offset) {
+    let hour = +(match[offset] || 0);
+    const minute = +(match[offset + 1] || 0);
+    const meridiem = (match[offset + 3] || '').toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    return parts.concat([hour, minute, match[offset] != null]);
+  }
+
+  const DATE_FORMATS = {
+    'YYYY-MM-DD': s => {
+      const m = new RegExp('^(\\d{4})[-/](\\d{1,2})[-/](\\d{1,2})' + TIME, 'i').exec(s);
+      return m && withTime([+m[1], +m[2], +m[3]], m, 4);
+    },
+    YYYYMMDD: s => {
+      const m = /^(\d{4})(\d{2})(\d{2})(?:[ T]?(\d{2}):?(\d{2})(?::?(\d{2}))?)?$/.exec(s);
+      return m && [+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), m[4] != null];
+    },
+    'MM/DD/YYYY': s => {
+      const m = new RegExp('^(\\d{1,2})/(\\d{1,2})/(\\d{2}|\\d{4})' + TIME, 'i').exec(s);
+      return m && withTime([fullYear(m[3]), +m[1], +m[2]], m, 4);
+    },
+    'DD/MM/YYYY': s => {
+      const m = new RegExp('^(\\d{1,2})/(\\d{1,2})/(\\d{2}|\\d{4})' + TIME, 'i').exec(s);
+      return m && withTime([fullYear(m[3]), +m[2], +m[1]], m, 4);
+    },
+    'DD.MM.YYYY': s => {
+      const m = new RegExp('^(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2}|\\d{4})' + TIME, 'i').exec(s);
+      return m && withTime([fullYear(m[3]), +m[2], +m[1]], m, 4);
+    },
+    'DD-Mon-YYYY': s => {
+      const m = new RegExp('^(\\d{1,2})[- ]([a-z]{3})[a-z]*[- ,]+(\\d{2}|\\d{4})' + TIME, 'i').exec(s);
+      const month = m ? MONTHS.indexOf(m[2].toLowerCase()) + 1 : 0;
+      return month ? withTime([fullYear(m[3]), month, +m[1]], m, 4) : null;
+    },
+    'Mon DD, YYYY': s => {
+      const m = new RegExp('^([a-z]{3})[a-z]*\\.? (\\d{1,2}),? (\\d{4})' + TIME, 'i').exec(s);
+      const month = m ? MONTHS.indexOf(m[1].toLowerCase()) + 1 : 0;
+      return month ? withTime([+m[3], month, +m[2]], m, 4) : null;
+    },
+  };
+
+  function fullYear(y) {
+    return y.length === 2 ? 2000 + +y : +y;
+  }
+
+  function validParts(p) {
+    return p && p[1] >= 1 && p[1] <= 12 && p[2] >= 1 && p[2] <= 31 && p[3] < 24 && p[4] < 60;
+  }
+
+  // Unix seconds or milliseconds, read as New York wall-clock time
+  const nyParts = typeof Intl !== 'undefined'
+    ? new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York', year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+    })
+    : null;
+
+  function epochParts(value) {
+    const ms = value < 1e11 ? value * 1000 : value;
+    const d = new Date(ms);
+    if (!nyParts) return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), true];
+    const p = {};
+    nyParts.formatToParts(d).forEach(({ type, value: v }) => { p[type] = +v; });
+    return [p.year, p.month, p.day, p.hour, p.minute, true];
+  }
+
+  // Picks the first format every sample parses with. Slash dates are
+  // ambiguous until a day above 12 shows up, so US order is assumed.
+  function detectDateFormat(samples) {
+    if (samples.every(s => /^\d{9,13}(\.\d+)?$/.test(s))) return { name: 'Unix time', ambiguous: false };
+    const names = Object.keys(DATE_FORMATS).filter(name =>
+      samples.every(s => validParts(DATE_FORMATS[name](s))));
+    if (!names.length) return null;
+    const ambiguous = names.includes('MM/DD/YYYY') && names.includes('DD/MM/YYYY');
+    return { name: names[0], ambiguous };
+  }
+
+  function parseDate(value, format) {
+    if (format === 'Unix time') return epochParts(Number(value));
+    const parts = DATE_FORMATS[format](value);
+    return validParts(parts) ? parts : null;
+  }
+
+  // "4:1", "4/1", "4-for-1" or a plain ratio; 0 and 1 mean no split
+  function parseSplit(value) {
+    if (value == null) return NaN;
+    const m = /^(\d+(?:\.\d+)?)\s*(?::|\/|-for-)\s*(\d+(?:\.\d+)?)$/i.exec(String(value).trim());
+    return m ? m[1] / m[2] : parseNumber(value);
+  }
+
+  // Only the fields that apply to a row, in the shape the page's bars use
+  function corporateActions(adjClose, dividend, split) {
+    const actions = {};
+    if (adjClose > 0) actions.adjClose = adjClose;
+    if (dividend > 0) actions.dividend = dividend;
+    if (split > 0 && split !== 1) actions.split = split;
+    return actions;
+  }
+
+  // ── Rows ──────────────────────────────────────────────────
+  // Raw table -> { headers?, rows: [[cells]] } from CSV text
+  function readCsv(text) {
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (!lines.length) throw new Error('The file is empty');
+    const delimiter = detectDelimiter(lines[0]);
+    const table = lines.map(line => splitLine(line, delimiter));
+    // No header when the first cell already looks like a date or number
+    const headerless = /^\d/.test(table[0][0]);
+    return {
+      headers: headerless ? null : table[0],
+      rows: headerless ? table : table.slice(1),
+      delimiter,
+    };
+  }
+
+  // JSON bars: an array of objects or [t, o, h, l, c, v] arrays, either
+  // bare or under bars / data / candles / results / values
+  function readJson(text) {
+    const json = JSON.parse(text);
+    const list = Array.isArray(json) ? json
+      : ['bars', 'data', 'candles', 'results', 'values', 'prices'].map(key => json[key]).find(Array.isArray);
+    if (!list || !list.length) throw new Error('No array of bars found in the JSON');
+    if (Array.isArray(list[0])) return { headers: null, rows: list };
+    const headers = Object.keys(list[0]);
+    return { headers, rows: list.map(obj => headers.map(key => obj[key])) };
+  }
+
+  function pushExample(list, value) {
+    if (list.length < MAX_EXAMPLES) list.push(value);
+  }
+
+  // Parses a file's text into { bars, intradayBars, format, columns,
+  // dateFormat, intraday, ticker, issues }. bars are daily, oldest first,
+  // with local-midnight dates; intraday rows are rolled up into sessions and
+  // also kept as intradayBars (exchange wall-clock dates, null for daily
+  // files). issues are
+  // { type: 'error' | 'warning' | 'info', message }. Throws when nothing
+  // usable is found.
+  function parse(text, { name = 'file', calendar = root.TradingCalendar } = {}) {
+    const isJson = /^\s*[[{]/.test(text);
+    const table = isJson ? readJson(text) : readCsv(text);
+    const issues = [];
+    const columns = table.headers
+      ? detectColumns(table.headers)
+      : { date: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+    if (!table.headers) issues.push({ type: 'info', message: 'No header row; assumed date, open, high, low, close, volume' });
+    if (columns.date == null || columns.close == null) {
+      throw new Error(`${name}: could not find date and close columns` +
+        (table.headers ? ' in ' + table.headers.join(', ') : ''));
+    }
+    if (columns.dividend != null || columns.split != null) {
+      issues.push({ type: 'info', message: 'Adjusted prices are rebuilt from the dividend and split columns' });
+    } else if (columns.adjClose != null) {
+      issues.push({ type: 'info', message: 'Adjusted prices follow the adjusted close column' });
+    }
+
+    // Semicolon files from European brokers use decimal commas
+    const decimalComma = table.delimiter === ';' &&
+      table.rows.slice(0, 20).some(r => /^-?\d+,\d+$/.test(String(r[columns.close] || '')));
+
+    const dateText = r => {
+      const date = String(r[columns.date] == null ? '' : r[columns.date]).trim();
+      return columns.time != null && r[columns.time] != null && String(r[columns.time]).trim() !== ''
+        ? date + ' ' + String(r[columns.time]).trim().replace(/^(\d{2})(\d{2})(\d{2})?$/, '$1:$2')
+        : date;
+    };
+    const samples = table.rows.map(dateText).filter(Boolean).slice(0, 200);
+    const dateFormat = detectDateFormat(samples);
+    if (!dateFormat) throw new Error(`${name}: unrecognised date format (e.g. "${samples[0] || ''}")`);
+    if (dateFormat.ambiguous) {
+      issues.push({ type: 'warning', message: 'Dates like 03/04/2024 are ambiguous; read as month/day/year' });
+    }
+
+    const invalid = [];
+    const nonPositive = [];
+    const inconsistent = [];
+    const rows = [];
+    let timed = false;
+    table.rows.forEach((r, i) => {
+      const line = i + (table.headers ? 2 : 1);
+      const parts = parseDate(dateText(r), dateFormat.name);
+      const num = field => (columns[field] == null ? NaN : parseNumber(r[columns[field]], decimalComma));
+      const close = num('close');
+      if (!parts || !Number.isFinite(close)) {
+        pushExample(invalid, line);
+        invalid.count = (invalid.count || 0) + 1;
+        return;
+      }
+      const open = Number.isFinite(num('open')) ? num('open') : close;
+      const high = Number.isFinite(num('high')) ? num('high') : Math.max(open, close);
+      const low = Number.isFinite(num('low')) ? num('low') : Math.min(open, close);
+      if ([open, high, low, close].some(v => v <= 0)) {
+        pushExample(nonPositive, line);
+        nonPositive.count = (nonPositive.count || 0) + 1;
+        return;
+      }
+      if (high < Math.max(open, close) || low > Math.min(open, close)) {
+        pushExample(inconsistent, line);
+        inconsistent.count = (inconsistent.count || 0) + 1;
+      }
+      if (parts[5]) timed = true;
+      rows.push({
+        day: new Date(parts[0], parts[1] - 1, parts[2]),
+        minute: parts[3] * 60 + parts[4],
+        line,
+        open,
+        high: Math.max(high, open, close),
+        low: Math.min(low, open, close),
+        close,
+        volume: Math.max(num('volume'), 0) || 0,
+        actions: corporateActions(num('adjClose'), num('dividend'), parseSplit(r[columns.split])),
+      });
+    });
+
+    const lines = list => list.join(', ') + (list.count > list.length ? ', ...' : '');
+    if (invalid.count) issues.push({ type: 'warning', message: `${plural(invalid.count, 'row')} without a readable date or close dropped (line ${lines(invalid)})` });
+    if (nonPositive.count) issues.push({ type: 'warning', message: `${plural(nonPositive.count, 'row')} with zero or negative prices dropped (line ${lines(nonPositive)})` });
+    if (inconsistent.count) issues.push({ type: 'warning', message: `${plural(inconsistent.count, 'row')} with high/low inside the open/close range widened (line ${lines(inconsistent)})` });
+    if (!rows.length) throw new Error(`${name}: no usable rows`);
+
+    const sorted = rows.every((row, i) => i === 0 || row.day - rows[i - 1].day + (row.minute - rows[i - 1].minute) * 60000 >= 0);
+    if (!sorted) issues.push({ type: 'info', message: 'Rows were not in date order and have been sorted' });
+    rows.sort((a, b) => a.day - b.day || a.minute - b.minute || a.line - b.line);
+
+    // One bar per session: intraday rows roll up, repeated daily rows keep the last
+    const bars = [];
+    const duplicates = [];
+    rows.forEach(row => {
+      const last = bars[bars.length - 1];
+      if (!last || last.date.getTime() !== row.day.getTime()) {
+        bars.push(Object.assign({ date: row.day, open: row.open, high: row.high, low: row.low, close: row.close, volume: row.volume }, row.actions));
+      } else if (timed) {
+        last.high = Math.max(last.high, row.high);
+        last.low = Math.min(last.low, row.low);
+        last.close = row.close;
+        last.volume += row.volume;
+        Object.assign(last, row.actions);
+      } else {
+        pushExample(duplicates, formatDay(row.day));
+        duplicates.count = (duplicates.count || 0) + 1;
+        ['adjClose', 'dividend', 'split'].forEach(field => delete last[field]);
+        Object.assign(last, { open: row.open, high: row.high, low: row.low, close: row.close, volume: row.volume }, row.actions);
+      }
+    });
+    if (bars.length < 2) throw new Error(`${name}: need at least two sessions of prices`);
+    if (duplicates.count) issues.push({ type: 'warning', message: `${plural(duplicates.count, 'duplicate date')}; kept the last row for each (${lines(duplicates)})` });
+    const intraday = timed && bars.length < rows.length;
+    if (intraday) issues.push({ type: 'info', message: `${rows.length} intraday rows rolled up into ${bars.length} daily bars; kept for the intraday intervals` });
+
+    // Intraday rows as they were, one per timestamp (a repeated time keeps the last)
+    const intradayBars = intraday ? [] : null;
+    if (intraday) {
+      rows.forEach(row => {
+        const date = new Date(row.day.getFullYear(), row.day.getMonth(), row.day.getDate(), Math.floor(row.minute / 60), row.minute % 60);
+        const bar = { date, open: row.open, high: row.high, low: row.low, close: row.close, volume: row.volume };
+        const last = intradayBars[intradayBars.length - 1];
+        if (last && last.date.getTime() === date.getTime()) intradayBars[intradayBars.length - 1] = bar;
+        else intradayBars.push(bar);
+      });
+    }
+
+    // Sessions the exchange was open but the file skips, and rows on closed days
+    if (calendar && bars.length > 1) {
+      const have = new Set(bars.map(b => b.date.getTime()));
+      const missing = [];
+      for (let d = calendar.nextTradingDay(bars[0].date); d <= bars[bars.length - 1].date; d = calendar.addSessions(d, 1)) {
+        if (!have.has(d.getTime())) {
+          pushExample(missing, formatDay(d));
+          missing.count = (missing.count || 0) + 1;
+        }
+      }
+      if (missing.count) issues.push({ type: 'warning', message: `${plural(missing.count, 'trading session')} missing (${lines(missing)})` });
+      const closed = bars.filter(b => !calendar.isTradingDay(b.date));
+      if (closed.length) {
+        issues.push({ type: 'warning', message: `${plural(closed.length, 'bar')} dated on weekends or exchange holidays (${closed.slice(0, MAX_EXAMPLES).map(b => formatDay(b.date)).join(', ')})` });
+      }
+    }
+
+    const tickers = columns.ticker != null
+      ? [...new Set(table.rows.map(r => String(r[columns.ticker] || '').trim().toUpperCase().replace(/\.US$/, '')).filter(Boolean))]
+      : [];
+    if (tickers.length > 1) issues.push({ type: 'warning', message: 'File mixes several tickers: ' + tickers.join(', ') });
+
+    return {
+      bars,
+      intradayBars,
+      format: isJson ? 'JSON' : 'CSV',
+      columns: Object.keys(columns).filter(field => field !== 'ticker'),
+      dateFormat: dateFormat.name,
+      intraday,
+      ticker: tickers.length === 1 ? tickers[0] : null,
+      issues,
+    };
+  }
+
+  function plural(n, noun) {
+    return n + ' ' + noun + (n === 1 ? '' : 's');
+  }
+
+  function formatDay(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  const PriceFile = {
+    parse,
+    detectColumns,
+    detectDateFormat,
+    parseNumber,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = PriceFile;
+  } else {
+    root.PriceFile = PriceFile;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -8,12 +8,210 @@
 
   // ── Global State ──────────────────────────────────────────
   const STATE = {
-    stockData: null,        // raw price data from API
+    symbol: 'PLTR',         // ticker driving the stock section
+    stockData: null,        // bars the charts show: daily adjustedBars or rawBars per
+                            // priceBasis, or intraday bars when interval isn't '1d'
+    rawBars: null,          // as traded, with split / dividend on ex-dates
+    adjustedBars: null,     // back-adjusted; every return statistic reads these
+    priceBasis: 'adjusted', // 'adjusted' | 'raw'
+    interval: '1d',         // '1d' or a key of INTRADAY_INTERVALS
+    intradayToken: 0,       // discards intraday loads for a previous symbol or interval
+    live: { on: false, token: 0, timer: null, socket: null, failures: 0, quote: null },
+    alerts: { rules: [], log: [] }, // price alert rules and the triggered log, persisted
     priceChart: null,       // Chart.js instance
     volumeChart: null,
-    currentRange: 365,
+    returnsChart: null,     // risk panel histogram
+    drawdownChart: null,    // risk panel drawdown line
+    currentRange: 365,      // days, 'ytd', 'max' or 'custom'
+    customRange: null,      // { from, to } dates when currentRange is 'custom'
+    view: { start: 0, end: 0 }, // bar indexes shown by the linked charts
+    chartType: 'area',      // line | area | ohlc | candlestick | heikin-ashi
+    indicators: {
+      sma: { on: false, periods: [50, 200] },
+      ema: { on: false, periods: [20] },
+      bollinger: { on: false, period: 20, mult: 2 },
+      vwap: { on: false },
+      rsi: { on: false, period: 14 },
+      macd: { on: false, fast: 12, slow: 26, signal: 9 },
+      obv: { on: false },
+    },
+    indicatorCharts: {},    // panel Chart.js instances keyed by indicator
+    compare: { on: false, symbols: ['SPY'], mode: 'rebased', benchmark: 'SPY', window: 60 },
+    compareData: {},        // symbol -> { bars, synthetic }, or null when no source has it
+    loadToken: 0,           // guards against out-of-order symbol loads
+    providerReport: [],     // per-provider outcome of the last fetch
+    dataSource: null,       // { id, label, synthetic, cached, fetchedAt, lastBar }
+    valuation: null,        // { bear, base, bull } scenario inputs
+    targetChart: null,
+    dcf: null,              // { mode: 'forward' | 'reverse', inputs }
+    simulation: { method: 'gbm', drift: 'historical', lookback: 'all', paths: 2000, seed: 42 },
+    simulationChart: null,
+    simulationToken: 0,     // discards results of superseded runs
+    simulationWorker: undefined, // Worker, or null once it proves unavailable
+    fundamentals: null,     // validated data/fundamentals.json
+    fundamentalsBundled: false, // true when that file failed and the bundled copy is in use
+    events: null,           // validated data/events.json
+    eventFocus: null,       // { symbol, id, sessions, zoom } event highlighted on the price chart
+    earningsWindow: 1,      // sessions of the move plotted against revenue surprise
+    earningsChart: null,
+    portfolio: { lots: [] }, // paper lots, persisted
+    portfolioChart: null,
+    backtest: {             // strategy settings of the backtest panel
+      strategy: 'ma-cross', fast: 50, slow: 200, period: 14, buyBelow: 30, sellAbove: 70, every: 21,
+      capital: 10000, commission: 0, slippageBps: 5,
+    },
+    backtestChart: null,
+    revenueChart: null,
+    profitChart: null,
+    segmentChart: null,
+    secImport: null,        // { result, files } parsed and waiting to be applied
+    peers: null,            // { symbols, custom } rows of the peer table
+    peerSort: { key: null, dir: 1 }, // null key keeps dataset order
+    upload: null,           // { symbol, name, result } price file supplied by the user
   };
 
+  // ── Configuration ─────────────────────────────────────────
+  const CONFIG = {
+    providerPriority: ['alphavantage', 'yahoo', 'synthetic'],
+    providerTimeout: 8000,                // ms per provider attempt
+    localDataUrl: 'data/{symbol}.csv',    // fixture served next to index.html
+    fundamentalsUrl: 'data/fundamentals.json',
+    eventsUrl: 'data/events.json',
+    staleAfterSessions: 1,                // more missed sessions than this is flagged stale
+    avgVolumeSessions: 30,                // sessions in the average volume metric
+    cacheTtlMs: 6 * 3600 * 1000,          // cached bars younger than this skip the network
+    simulationWorkerUrl: 'simulation-worker.js',
+    riskFreeRate: 0.04,                   // annual, for Sharpe and Sortino
+    eventReactionSessions: 5,             // default window of the event reaction readout
+    liveFeedUrl: null,                    // default for ?liveFeed= (see Live Quotes)
+    livePollMs: 15000,                    // quote polling interval while the market is open
+    liveMaxBackoffMs: 5 * 60 * 1000,      // longest wait between retries of a failing feed
+    liveRecheckMs: 3600 * 1000,           // longest sleep before re-reading the market state
+  };
+
+  // Chart intervals shorter than a day, with the interval and history each
+  // source is asked for
+  const INTRADAY_INTERVALS = {
+    '1m': { label: '1-minute', minutes: 1, yahoo: ['1m', '5d'], alphavantage: '1min' },
+    '5m': { label: '5-minute', minutes: 5, yahoo: ['5m', '1mo'], alphavantage: '5min' },
+    '15m': { label: '15-minute', minutes: 15, yahoo: ['15m', '1mo'], alphavantage: '15min' },
+    '1h': { label: 'Hourly', minutes: 60, yahoo: ['60m', '6mo'], alphavantage: '60min' },
+  };
+
+  const STORAGE_KEYS = {
+    strict: 'fpa.strictMode',
+    valuation: 'fpa.valuationModel',
+    dcf: 'fpa.dcfModel',
+    peers: 'fpa.peers',
+    priceBasis: 'fpa.priceBasis',
+    live: 'fpa.liveQuotes',
+    alerts: 'fpa.alerts',
+    portfolio: 'fpa.portfolio',
+  };
+
+  // ── Symbol Registry ───────────────────────────────────────
+  // Symbols offered by the selector. Share counts, revenue and margins come
+  // from the fundamentals dataset (see companyInfo).
+  const DEFAULT_SYMBOL = 'PLTR';
+  const SYMBOLS = {
+    PLTR: { name: 'Palantir' },
+    SNOW: { name: 'Snowflake' },
+    DDOG: { name: 'Datadog' },
+    CRWD: { name: 'CrowdStrike' },
+    NET: { name: 'Cloudflare' },
+    AI: { name: 'C3.ai' },
+  };
+
+  // Index ETFs offered in comparison mode (price history only)
+  const BENCHMARKS = {
+    SPY: 'S&P 500',
+    QQQ: 'Nasdaq-100',
+  };
+
+  // ── Fundamentals ──────────────────────────────────────────
+  // Reported financials, segment revenue and peer fundamentals all come from
+  // one dataset (CONFIG.fundamentalsUrl), checked by Fundamentals.validate.
+  // Falls back to the copy in data/fundamentals-bundled.js when the file
+  // can't be fetched or fails validation
+  async function loadFundamentals() {
+    try {
+      const res = await fetch(CONFIG.fundamentalsUrl);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const data = await res.json();
+      const errors = Fundamentals.validate(data);
+      if (errors.length) throw new Error('invalid dataset: ' + errors.join('; '));
+      STATE.fundamentals = data;
+      STATE.fundamentalsBundled = false;
+      return true;
+    } catch (e) {
+      const bundled = window.BUNDLED_FUNDAMENTALS;
+      if (bundled && !Fundamentals.validate(bundled).length) {
+        console.warn(`${CONFIG.fundamentalsUrl} unavailable (${e.message}); using the bundled copy`);
+        STATE.fundamentals = bundled;
+        STATE.fundamentalsBundled = true;
+        return true;
+      }
+      console.error('Fundamentals unavailable:', e.message);
+      return false;
+    }
+  }
+
+  // Fundamentals for one symbol (see Fundamentals.company), or null
+  function companyInfo(symbol) {
+    return STATE.fundamentals ? Fundamentals.company(STATE.fundamentals, symbol) : null;
+  }
+
+  function pltrQuarters() {
+    return Fundamentals.quarters(STATE.fundamentals, 'PLTR');
+  }
+
+  // Latest complete fiscal year of reported PLTR results
+  function latestFiscalYear() {
+    const years = Fundamentals.fiscalYears(STATE.fundamentals, 'PLTR');
+    return years[years.length - 1];
+  }
+
+  function sourceTitle(id) {
+    const source = Fundamentals.source(STATE.fundamentals, id);
+    return source ? source.title : id;
+  }
+
+  // Fills [data-fundamental] copy (hero stats, argument cards) and the
+  // as-of stamps from the dataset
+  function updateFundamentalsText() {
+    const data = STATE.fundamentals;
+    const asOf = data ? formatDate(new Date(data.asOf + 'T00:00:00')) : null;
+    document.querySelectorAll('[data-fundamentals-as-of]').forEach(el => {
+      el.textContent = asOf
+        ? 'Fundamentals as of ' + asOf + (STATE.fundamentalsBundled ? ' (bundled copy)' : '')
+        : 'Fundamentals unavailable';
+    });
+    if (!data) return;
+
+    const years = Fundamentals.fiscalYears(data, 'PLTR');
+    const latest = years[years.length - 1];
+    const prior = years[years.length - 2];
+    const pltr = companyInfo('PLTR');
+    const segments = ((data.segments || {}).PLTR || []).find(s => s.year === latest.year);
+    const pct = v => Math.round(v * 100) + '%';
+    const billions = millions => '$' + (millions / 1000).toFixed(2) + 'B';
+    const fields = {
+      fiscalYear: String(latest.year),
+      priorFiscalYear: String(latest.year - 1),
+      fyRevenue: billions(latest.revenue),
+      fyGrowth: latest.growth != null ? pct(latest.growth) : '--',
+      fyGrowthSigned: latest.growth != null ? (latest.growth >= 0 ? '+' : '') + pct(latest.growth) : '--',
+      priorFyGrowth: prior && prior.growth != null ? pct(prior.growth) : '--',
+      grossMargin: pltr.grossMargin != null ? pct(pltr.grossMargin) : '--',
+      customers: pltr.customers != null ? pltr.customers + '+' : '--',
+      governmentRevenue: segments ? billions(segments.government) : '--',
+      governmentShare: segments ? pct(segments.government / (segments.government + segments.commercial)) : '--',
+    };
+    document.querySelectorAll('[data-fundamental]').forEach(el => {
+      if (el.dataset.fundamental in fields) el.textContent = fields[el.dataset.fundamental];
+    });
+  }
+
   // ── Chart.js Global Defaults ──────────────────────────────
   Chart.defaults.color = '#8a95a5';
   Chart.defaults.font.family = "'Inter', -apple-system, sans-serif";
@@ -46,6 +244,58 @@
     return n.toString();
   }
 
+  function formatDate(d) {
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  // Time only for today, otherwise date and time
+  function formatTimestamp(d) {
+    const time = d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    if (d.toDateString() === new Date().toDateString()) return time;
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) + ', ' + time;
+  }
+
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  // Saves a Blob through a temporary link
+  function downloadFile(name, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // For user-entered text placed into innerHTML templates
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[c]);
+  }
+
+  // localStorage can throw (private mode, disabled storage) — treat as empty
+  function readStorage(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (e) {
+      console.warn('Could not persist', key, e.message);
+    }
+  }
+
   function createGradient(ctx, colorStart, colorEnd) {
     const gradient = ctx.createLinearGradient(0, 0, 0, ctx.canvas.height);
     gradient.addColorStop(0, colorStart);
@@ -90,8 +340,10 @@
   }
 
   // ── Scroll Animations ────────────────────────────────────
+  let scrollObserver = null;
+
   function initScrollAnimations() {
-    const observer = new IntersectionObserver(
+    scrollObserver = new IntersectionObserver(
       (entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
@@ -102,90 +354,577 @@
       { threshold: 0.1, rootMargin: '0px 0px -40px 0px' }
     );
 
-    document.querySelectorAll('.animate-on-scroll').forEach(el => observer.observe(el));
+    observeAnimations(document);
   }
 
-  // ── Fetch Stock Data ──────────────────────────────────────
-  // Tries multiple free public APIs, then falls back to realistic synthetic data
-  async function fetchStockData() {
-    // Attempt 1: Alpha Vantage demo key (limited but CORS-friendly)
-    try {
-      const data = await fetchFromAlphaVantage();
-      if (data && data.length > 100) return data;
-    } catch (e) {
-      console.warn('Alpha Vantage failed:', e.message);
+  // Content rendered after load joins the reveal through this
+  function observeAnimations(root) {
+    root.querySelectorAll('.animate-on-scroll').forEach(el => scrollObserver.observe(el));
+  }
+
+  // ── Symbol Selection ──────────────────────────────────────
+  function getSymbolFromUrl() {
+    const param = new URLSearchParams(window.location.search).get('symbol');
+    if (!param) return DEFAULT_SYMBOL;
+    const symbol = param.trim().toUpperCase();
+    return /^[A-Z][A-Z0-9.-]{0,9}$/.test(symbol) ? symbol : DEFAULT_SYMBOL;
+  }
+
+  function initSymbolSelector() {
+    const select = document.getElementById('symbolSelect');
+    if (!select) return;
+
+    // Symbols passed via ?symbol= but missing from the registry still get an option
+    const symbols = Object.keys(SYMBOLS);
+    if (!symbols.includes(STATE.symbol)) symbols.push(STATE.symbol);
+    select.innerHTML = symbols.map(s => {
+      const info = SYMBOLS[s];
+      return `<option value="${s}">${s}${info ? ' — ' + info.name : ''}</option>`;
+    }).join('');
+    select.value = STATE.symbol;
+
+    select.addEventListener('change', () => setSymbol(select.value));
+  }
+
+  function setSymbol(symbol) {
+    if (symbol === STATE.symbol) return;
+    STATE.symbol = symbol;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('symbol', symbol);
+    history.replaceState(null, '', url);
+
+    renderPriceUpload();
+    loadStockData();
+    if (STATE.live.on) startLiveQuotes();
+  }
+
+  function updateSymbolLabels(symbol) {
+    const tickerSymbol = document.getElementById('tickerSymbol');
+    const priceTitle = document.getElementById('priceChartTitle');
+    const volumeTitle = document.getElementById('volumeChartTitle');
+    if (tickerSymbol) tickerSymbol.textContent = symbol;
+    if (priceTitle) priceTitle.textContent = symbol + ' Stock Price History';
+    if (volumeTitle) volumeTitle.textContent = symbol + ' Volume Analysis';
+  }
+
+  function setChartLoading(name, message, busy) {
+    const loading = document.getElementById(name + 'ChartLoading');
+    const canvas = document.getElementById(name + 'Chart');
+    if (canvas) canvas.style.display = 'none';
+    if (!loading) return;
+    loading.style.display = '';
+    loading.classList.toggle('empty', !busy);
+    loading.querySelector('span').textContent = message;
+  }
+
+  // Loads price data for STATE.symbol and refreshes everything that depends on it.
+  // Cached bars render first; the network is only hit once the cache is older
+  // than CONFIG.cacheTtlMs, or when the user forces a refresh.
+  async function loadStockData({ force = false } = {}) {
+    const symbol = STATE.symbol;
+    const token = ++STATE.loadToken;
+    if (force) STATE.compareData = {}; // comparison series refetch on next use
+
+    updateSymbolLabels(symbol);
+    updateCompareControls();
+    resetTickerDisplay();
+    STATE.dataSource = null;
+    STATE.providerReport = [];
+    updateDataStatus('loading');
+    setRefreshBusy(true);
+    setChartLoading('price', 'Loading stock data...', true);
+    setChartLoading('volume', 'Loading...', true);
+
+    // Only cache entries from providers that are currently allowed count
+    const priority = getProviderPriority(symbol);
+    const allCached = await readCachedBars(symbol);
+    if (token !== STATE.loadToken) return; // a newer symbol was selected meanwhile
+    const cache = {};
+    priority.forEach(id => {
+      if (allCached[id]) cache[id] = allCached[id];
+    });
+
+    // An uploaded file takes over from whatever the cache holds
+    const cachedId = priority[0] === 'upload' ? null : priority.find(id => cache[id]);
+    const cached = cachedId ? cache[cachedId] : null;
+    if (cached) {
+      applyStockData(cached.bars, PROVIDERS[cachedId], new Date(cached.fetchedAt), true);
+      if (!force && Date.now() - cached.fetchedAt < CONFIG.cacheTtlMs) {
+        setRefreshBusy(false);
+        return;
+      }
+    }
+
+    const result = await fetchStockData(symbol, cache);
+    if (token !== STATE.loadToken) return;
+    setRefreshBusy(false);
+    STATE.providerReport = result.report;
+
+    if (result.bars) {
+      applyStockData(result.bars, result.provider, new Date(), false);
+      return;
+    }
+
+    // Every source failed: keep showing cached bars if we have them
+    if (cached) {
+      updateDataStatus('ready');
+      return;
+    }
+
+    STATE.stockData = null;
+    STATE.rawBars = null;
+    STATE.adjustedBars = null;
+    updateDataStatus('empty');
+    renderRiskPanel();
+    renderBacktest();
+    updateValuationOutputs();
+    renderPeerTable();
+    loadPeerPrices();
+    setChartLoading('price', isStrictMode()
+      ? 'Strict mode: live data unavailable for ' + symbol
+      : 'No price data available for ' + symbol, false);
+    setChartLoading('volume', 'No volume data', false);
+  }
+
+  function applyStockData(data, provider, fetchedAt, cached) {
+    STATE.rawBars = data;
+    STATE.adjustedBars = Analytics.adjustBars(data);
+    STATE.stockData = basisBars();
+    STATE.dataSource = {
+      id: provider.id,
+      label: provider.label,
+      file: provider.id === 'upload' ? STATE.upload.name : null,
+      synthetic: !!provider.synthetic,
+      cached,
+      fetchedAt,
+      lastBar: data[data.length - 1].date,
+    };
+    updateDataStatus('ready');
+
+    updateTickerDisplay(null, STATE.adjustedBars);
+    const { quote } = STATE.live;
+    if (STATE.live.on && quote && quote.symbol === STATE.symbol) applyLiveQuote(quote);
+    if (STATE.interval === '1d') {
+      renderPriceChart(STATE.stockData, STATE.currentRange);
+      renderVolumeChart(STATE.stockData);
+    } else {
+      loadIntradayBars();
+    }
+    renderRiskPanel();
+    renderBacktest();
+    if (STATE.compare.on) {
+      ensureComparisonData().then(loaded => {
+        if (loaded && STATE.stockData) renderPriceChart(STATE.stockData, STATE.currentRange);
+      });
+    }
+    updateValuationOutputs();
+    renderPeerTable();
+    loadPeerPrices();
+    renderAlerts();
+    checkAlerts();
+    if (STATE.eventFocus) showEventFocus();
+    renderEarningsPanel();
+    renderPortfolio();
+  }
+
+  function basisBars() {
+    return STATE.priceBasis === 'raw' ? STATE.rawBars : STATE.adjustedBars;
+  }
+
+  // Switches the charts between adjusted and as-traded prices; statistics
+  // stay on adjusted bars either way
+  function setPriceBasis(basis) {
+    STATE.priceBasis = basis;
+    writeStorage(STORAGE_KEYS.priceBasis, basis);
+    document.querySelectorAll('#priceBasisControls .chart-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.basis === basis);
+    });
+    if (!STATE.rawBars || STATE.interval !== '1d') return;
+    STATE.stockData = basisBars();
+    renderPriceChart(STATE.stockData, STATE.currentRange);
+    renderVolumeChart(STATE.stockData);
+    if (STATE.dataSource) updateDataStatus('ready');
+  }
+
+  function setRefreshBusy(busy) {
+    const btn = document.getElementById('refreshDataBtn');
+    if (btn) btn.disabled = busy;
+  }
+
+  function initRefreshControl() {
+    const btn = document.getElementById('refreshDataBtn');
+    if (btn) btn.addEventListener('click', () => loadStockData({ force: true }));
+  }
+
+  // ── Price Cache (IndexedDB) ───────────────────────────────
+  // Normalized bars persisted per symbol + source. Entries look like
+  // { key: 'PLTR:yahoo', symbol, source, fetchedAt (ms), bars }.
+  // Version 2 stores as-traded bars with corporate actions; older entries
+  // held split-adjusted Yahoo prices and are dropped on upgrade.
+  const CACHE_DB = { name: 'fpa-price-cache', version: 2, store: 'bars' };
+  let cacheDbPromise = null;
+
+  // Resolves to null when IndexedDB is unavailable, which disables caching
+  function openCacheDb() {
+    if (!cacheDbPromise) {
+      cacheDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) throw new Error('IndexedDB unavailable');
+        const req = window.indexedDB.open(CACHE_DB.name, CACHE_DB.version);
+        req.onupgradeneeded = () => {
+          if (req.result.objectStoreNames.contains(CACHE_DB.store)) req.result.deleteObjectStore(CACHE_DB.store);
+          const store = req.result.createObjectStore(CACHE_DB.store, { keyPath: 'key' });
+          store.createIndex('symbol', 'symbol');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }).catch(e => {
+        console.warn('Price cache disabled:', e.message);
+        return null;
+      });
     }
+    return cacheDbPromise;
+  }
 
-    // Attempt 2: Yahoo Finance via public CORS proxy
+  async function cacheRequest(mode, run) {
     try {
-      const data = await fetchFromYahoo();
-      if (data && data.length > 100) return data;
+      const db = await openCacheDb();
+      if (!db) return null;
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(CACHE_DB.store, mode);
+        const req = run(tx.objectStore(CACHE_DB.store));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+      });
     } catch (e) {
-      console.warn('Yahoo proxy failed:', e.message);
+      console.warn('Price cache error:', e.message);
+      return null;
+    }
+  }
+
+  // Resolves to { [sourceId]: entry } for every cached source of a symbol
+  async function readCachedBars(symbol) {
+    const entries = await cacheRequest('readonly', store => store.index('symbol').getAll(symbol));
+    const bySource = {};
+    (entries || []).forEach(entry => { bySource[entry.source] = entry; });
+    return bySource;
+  }
+
+  function writeCachedBars(symbol, source, bars) {
+    return cacheRequest('readwrite', store => store.put({
+      key: symbol + ':' + source,
+      symbol,
+      source,
+      fetchedAt: Date.now(),
+      bars,
+    }));
+  }
+
+  // Newer bars win on the same session (today's bar keeps updating intraday)
+  function mergeBars(older, newer) {
+    const byDay = new Map();
+    older.forEach(bar => byDay.set(bar.date.getTime(), bar));
+    newer.forEach(bar => byDay.set(bar.date.getTime(), bar));
+    return [...byDay.values()].sort((a, b) => a.date - b.date);
+  }
+
+  // ── Data Providers ────────────────────────────────────────
+  // A provider is { id, label, timeout, minBars, cacheable,
+  // fetchBars(symbol, { signal, since }) }. fetchBars resolves to OHLCV rows
+  // ({ date, open, high, low, close, volume }) priced as traded, plus
+  // `dividend` and `split` on ex-dates or an `adjClose` when the source only
+  // has that. The chain normalizes them, so providers only need to get the
+  // fields right. `since` is the last cached session — providers may use it
+  // to return just the newer bars. Optional fetchIntraday(symbol, interval,
+  // { signal }) and fetchQuote(symbol, { signal }) back the intraday chart
+  // intervals and live quotes.
+  const PROVIDERS = {};
+
+  function registerProvider(provider) {
+    PROVIDERS[provider.id] = Object.assign({
+      timeout: CONFIG.providerTimeout,
+      minBars: 100,
+      cacheable: true,
+    }, provider);
+  }
+
+  // Priority can be overridden per page load, e.g. ?providers=local,synthetic.
+  // Strict mode drops synthetic providers so generated prices never render.
+  // A file uploaded for `symbol` goes ahead of every other source.
+  function getProviderPriority(symbol) {
+    const param = new URLSearchParams(window.location.search).get('providers');
+    const ids = param ? param.split(',').map(id => id.trim()) : CONFIG.providerPriority;
+    const strict = isStrictMode();
+    const upload = STATE.upload && STATE.upload.symbol === symbol ? ['upload'] : [];
+    return upload.concat(ids.filter(id => {
+      if (!PROVIDERS[id]) console.warn('Unknown data provider:', id);
+      return !!PROVIDERS[id] && id !== 'upload' && !(strict && PROVIDERS[id].synthetic);
+    }));
+  }
+
+  // Bars are keyed by trading session, so every date becomes local midnight.
+  // Numbers are epoch ms of an exchange timestamp and use the UTC calendar day.
+  function toSessionDate(value) {
+    if (value instanceof Date) {
+      return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    if (typeof value === 'number') {
+      const d = new Date(value);
+      return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    }
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
+    const d = new Date(value);
+    return isNaN(d) ? null : new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  // Intraday rows keep their time of day: epoch numbers become New York
+  // wall-clock time, strings and Dates are already exchange-local ('YYYY-MM-DD HH:MM')
+  function toExchangeTime(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return TradingCalendar.exchangeTime(value);
+    const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(value);
+    return m ? new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0)) : null;
+  }
+
+  // Coerces provider rows into sorted, de-duplicated OHLCV bars
+  function normalizeBars(rows, toDate = toSessionDate) {
+    const byDay = new Map();
+    rows.forEach(row => {
+      const date = toDate(row.date);
+      const close = Number(row.close);
+      if (!date || !Number.isFinite(close) || close <= 0) return;
+      const open = Number.isFinite(Number(row.open)) ? Number(row.open) : close;
+      const bar = {
+        date,
+        open,
+        high: Number.isFinite(Number(row.high)) ? Number(row.high) : Math.max(open, close),
+        low: Number.isFinite(Number(row.low)) ? Number(row.low) : Math.min(open, close),
+        close,
+        volume: Number(row.volume) || 0,
+      };
+      // Corporate-action fields only appear where they apply
+      if (Number(row.adjClose) > 0) bar.adjClose = Number(row.adjClose);
+      if (Number(row.dividend) > 0) bar.dividend = Number(row.dividend);
+      if (Number(row.split) > 0 && Number(row.split) !== 1) bar.split = Number(row.split);
+      byDay.set(date.getTime(), bar);
+    });
+    return [...byDay.values()].sort((a, b) => a.date - b.date);
+  }
+
+  // Rejects once the provider's timeout elapses and aborts its requests.
+  // `run` defaults to fetchBars; intraday and quote requests pass their own.
+  function runProvider(provider, symbol, since, run = provider.fetchBars) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`timed out after ${provider.timeout}ms`));
+      }, provider.timeout);
+    });
+    return Promise.race([run(symbol, { signal: controller.signal, since }), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  // ── Fetch Stock Data ──────────────────────────────────────
+  // Walks the provider priority list and returns the first usable result as
+  // { bars, provider, report }. report has one entry per provider attempted.
+  // cache maps provider id → cached entry; new bars are merged into it.
+  async function fetchStockData(symbol, cache = {}) {
+    const report = [];
+
+    for (const id of getProviderPriority(symbol)) {
+      const provider = PROVIDERS[id];
+      // Real cached bars beat generated ones; the caller keeps showing them
+      if (provider.synthetic && Object.keys(cache).length) break;
+
+      const cached = provider.cacheable ? cache[id] : null;
+      const since = cached ? cached.bars[cached.bars.length - 1].date : null;
+      const started = performance.now();
+      const entry = { id, label: provider.label, ok: false, error: null, bars: 0, ms: 0 };
+      report.push(entry);
+
+      try {
+        const rows = await runProvider(provider, symbol, since);
+        const fresh = rows ? normalizeBars(rows) : [];
+        const bars = cached ? mergeBars(cached.bars, fresh) : fresh;
+        entry.bars = fresh.length;
+        if (bars.length < provider.minBars) {
+          throw new Error(`only ${bars.length} bars (need ${provider.minBars})`);
+        }
+        entry.ok = true;
+        if (provider.cacheable) writeCachedBars(symbol, id, bars);
+        return { bars, provider, report };
+      } catch (e) {
+        entry.error = e.message;
+        console.warn(`${provider.label} failed for ${symbol}:`, e.message);
+      } finally {
+        entry.ms = Math.round(performance.now() - started);
+      }
     }
 
-    // Fallback: high-fidelity synthetic data matching real PLTR history
-    console.info('Using high-fidelity synthetic data based on real PLTR price history');
-    return fetchFallbackData();
+    return { bars: null, provider: null, report };
   }
 
-  async function fetchFromAlphaVantage() {
-    const url = 'https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=PLTR&outputsize=full&apikey=demo';
-    const resp = await fetch(url);
+  async function fetchFromAlphaVantage(symbol, { signal, since } = {}) {
+    // compact = latest 100 sessions, enough when the cache is recent
+    const compact = since && Date.now() - since.getTime() < 120 * 86400000;
+    const url = 'https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=' +
+      encodeURIComponent(symbol) + '&outputsize=' + (compact ? 'compact' : 'full') + '&apikey=demo';
+    const resp = await fetch(url, { signal });
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
     const json = await resp.json();
     const ts = json['Time Series (Daily)'];
     if (!ts) throw new Error('No time series data');
 
-    const data = Object.entries(ts).map(([dateStr, vals]) => ({
-      date: new Date(dateStr),
+    // OHLC and volume are as traded; adjusted close is rebuilt from the events
+    return Object.entries(ts).map(([dateStr, vals]) => ({
+      date: dateStr,
       open: parseFloat(vals['1. open']),
       high: parseFloat(vals['2. high']),
       low: parseFloat(vals['3. low']),
       close: parseFloat(vals['4. close']),
-      volume: parseInt(vals['5. volume'], 10),
-    })).sort((a, b) => a.date - b.date);
-
-    STATE.stockData = data;
-    updateTickerDisplay(null, data);
-    return data;
+      volume: parseInt(vals['6. volume'], 10),
+      dividend: parseFloat(vals['7. dividend amount']),
+      split: parseFloat(vals['8. split coefficient']),
+    }));
   }
 
-  async function fetchFromYahoo() {
-    const symbol = 'PLTR';
+  async function fetchFromYahoo(symbol, { signal, since } = {}) {
     const period2 = Math.floor(Date.now() / 1000);
-    const period1 = period2 - 5 * 365 * 86400;
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${period1}&period2=${period2}&interval=1d`;
+    const period1 = since ? Math.floor(since.getTime() / 1000) : period2 - 5 * 365 * 86400;
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d&events=div%2Csplits`;
 
-    const resp = await fetch(url);
+    const resp = await fetch(url, { signal });
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
     const json = await resp.json();
     const result = json.chart.result[0];
     const timestamps = result.timestamp;
     const quotes = result.indicators.quote[0];
 
+    // Yahoo's OHLC and dividends are split-adjusted; undo the splits that
+    // come after each bar so the rows are as traded, like every other source
+    const events = result.events || {};
+    const sessionOf = seconds => toSessionDate(seconds * 1000).getTime();
+    const splits = Object.values(events.splits || {})
+      .map(s => ({ day: sessionOf(s.date), ratio: s.numerator / s.denominator }))
+      .filter(s => s.ratio > 0 && s.ratio !== 1);
+    const dividends = new Map(Object.values(events.dividends || {}).map(d => [sessionOf(d.date), d.amount]));
+    const splitsAfter = day => splits.reduce((f, s) => (s.day > day ? f * s.ratio : f), 1);
+
     const data = [];
     for (let i = 0; i < timestamps.length; i++) {
       if (quotes.close[i] != null) {
+        const day = sessionOf(timestamps[i]);
+        const factor = splitsAfter(day);
+        const split = splits.find(s => s.day === day);
         data.push({
-          date: new Date(timestamps[i] * 1000),
-          open: quotes.open[i],
-          high: quotes.high[i],
-          low: quotes.low[i],
-          close: quotes.close[i],
-          volume: quotes.volume[i],
+          date: timestamps[i] * 1000,
+          open: quotes.open[i] * factor,
+          high: quotes.high[i] * factor,
+          low: quotes.low[i] * factor,
+          close: quotes.close[i] * factor,
+          volume: quotes.volume[i] / factor,
+          dividend: dividends.has(day) ? dividends.get(day) * factor : null,
+          split: split ? split.ratio : null,
         });
       }
     }
 
-    STATE.stockData = data;
-    updateTickerDisplay(null, data);
     return data;
   }
 
+  async function fetchIntradayFromAlphaVantage(symbol, interval, { signal } = {}) {
+    const avInterval = INTRADAY_INTERVALS[interval].alphavantage;
+    const url = 'https://www.alphavantage.co/query?function=TIME_SERIES_INTRADAY&symbol=' +
+      encodeURIComponent(symbol) + '&interval=' + avInterval + '&outputsize=full&apikey=demo';
+    const resp = await fetch(url, { signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+    const ts = json['Time Series (' + avInterval + ')'];
+    if (!ts) throw new Error('No time series data');
+
+    // Timestamps are US/Eastern wall-clock strings
+    return Object.entries(ts).map(([time, vals]) => ({
+      date: time,
+      open: parseFloat(vals['1. open']),
+      high: parseFloat(vals['2. high']),
+      low: parseFloat(vals['3. low']),
+      close: parseFloat(vals['4. close']),
+      volume: parseInt(vals['5. volume'], 10),
+    }));
+  }
+
+  async function fetchQuoteFromAlphaVantage(symbol, { signal } = {}) {
+    const url = 'https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=' +
+      encodeURIComponent(symbol) + '&apikey=demo';
+    const resp = await fetch(url, { signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const quote = (await resp.json())['Global Quote'];
+    if (!quote || !quote['05. price']) throw new Error('No quote data');
+    return { price: quote['05. price'], previousClose: quote['08. previous close'] };
+  }
+
+  async function fetchIntradayFromYahoo(symbol, interval, { signal } = {}) {
+    const [yahooInterval, range] = INTRADAY_INTERVALS[interval].yahoo;
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=${yahooInterval}`;
+    const resp = await fetch(url, { signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const result = (await resp.json()).chart.result[0];
+    const quotes = result.indicators.quote[0];
+    return (result.timestamp || []).map((t, i) => ({
+      date: t * 1000,
+      open: quotes.open[i],
+      high: quotes.high[i],
+      low: quotes.low[i],
+      close: quotes.close[i],
+      volume: quotes.volume[i],
+    }));
+  }
+
+  async function fetchQuoteFromYahoo(symbol, { signal } = {}) {
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=1d&interval=1m`;
+    const resp = await fetch(url, { signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const meta = (await resp.json()).chart.result[0].meta;
+    return { price: meta.regularMarketPrice, time: meta.regularMarketTime, previousClose: meta.chartPreviousClose };
+  }
+
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+  // Price URLs taken from the query string must point at this page's host
+  // or this machine, so a shared link can't present someone else's prices
+  // as real data. Any scheme counts, so ws:// feeds on the same host pass.
+  function assertLocalUrl(url, param) {
+    if (url.host === window.location.host || LOCAL_HOSTS.includes(url.hostname)) return;
+    throw new Error(`${param} must be same-origin or localhost, not ${url.host}`);
+  }
+
+  // Local fixture or stand-in server: CONFIG.localDataUrl, overridable with
+  // ?localData=http://localhost:8787/bars/{symbol}. Accepts JSON bars, or
+  // CSV read by PriceFile the same way as an uploaded file.
+  async function fetchFromLocal(symbol, { signal } = {}) {
+    const template = new URLSearchParams(window.location.search).get('localData') || CONFIG.localDataUrl;
+    const url = new URL(template.replace('{symbol}', encodeURIComponent(symbol)), window.location.href);
+    assertLocalUrl(url, 'localData');
+    const resp = await fetch(url, { signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const text = await resp.text();
+
+    if (/^\s*[[{]/.test(text)) {
+      const json = JSON.parse(text);
+      return Array.isArray(json) ? json : json.bars;
+    }
+    return PriceFile.parse(text, { name: url.href }).bars;
+  }
+
   // Fallback: high-fidelity synthetic data based on actual PLTR price history
   // Uses known weekly closing prices to generate realistic daily data
-  function fetchFallbackData() {
+  function fetchFallbackData(symbol) {
+    // Anchors only exist for PLTR; other symbols get no synthetic history
+    if (symbol !== 'PLTR') return null;
+
     // Known approximate weekly close prices (Mon of each week) from Oct 2020 to present
     // Source: publicly known PLTR price history milestones
     const anchors = [
@@ -254,11 +993,7 @@
 
     // Interpolate daily data between anchor points
     const data = [];
-    let seed = 42; // deterministic pseudo-random for consistency
-    function pseudoRandom() {
-      seed = (seed * 16807 + 0) % 2147483647;
-      return (seed - 1) / 2147483646;
-    }
+    const pseudoRandom = Analytics.createRng(42); // deterministic for consistency
 
     for (let i = 0; i < anchors.length - 1; i++) {
       const [y1, m1, d1, c1, v1] = anchors[i];
@@ -271,8 +1006,7 @@
       let dayCount = 0;
 
       while (current < date2) {
-        const dow = current.getDay();
-        if (dow !== 0 && dow !== 6) {
+        if (TradingCalendar.isTradingDay(current)) {
           const t = dayCount / totalDays;
           // Smooth interpolation with random walk overlay
           const interpolated = c1 + (c2 - c1) * t;
@@ -284,7 +1018,9 @@
           const high = Math.max(open, close) + pseudoRandom() * range;
           const low = Math.min(open, close) - pseudoRandom() * range;
           const volNoise = (pseudoRandom() - 0.3) * v1 * 0.5;
-          const volume = Math.max(Math.floor(v1 + (v2 - v1) * t + volNoise), 5e6);
+          // Half-day sessions trade roughly half the volume
+          const sessionShare = TradingCalendar.isEarlyClose(current) ? 0.5 : 1;
+          const volume = Math.max(Math.floor((v1 + (v2 - v1) * t + volNoise) * sessionShare), 5e6);
 
           data.push({
             date: new Date(current),
@@ -300,518 +1036,4617 @@
       }
     }
 
-    STATE.stockData = data;
-    updateTickerDisplay(null, data);
     return data;
   }
 
-  // ── Update Ticker & Metrics ───────────────────────────────
-  function updateTickerDisplay(meta, data) {
-    if (!data || data.length === 0) return;
+  registerProvider({
+    id: 'alphavantage',
+    label: 'Alpha Vantage',
+    fetchBars: fetchFromAlphaVantage,
+    fetchIntraday: fetchIntradayFromAlphaVantage,
+    fetchQuote: fetchQuoteFromAlphaVantage,
+  });
+  registerProvider({
+    id: 'yahoo',
+    label: 'Yahoo Finance',
+    fetchBars: fetchFromYahoo,
+    fetchIntraday: fetchIntradayFromYahoo,
+    fetchQuote: fetchQuoteFromYahoo,
+  });
+  registerProvider({
+    id: 'local',
+    label: 'Local fixture',
+    minBars: 1,
+    fetchBars: fetchFromLocal,
+  });
+  registerProvider({
+    id: 'synthetic',
+    label: 'Synthetic (PLTR history model)',
+    synthetic: true,
+    cacheable: false,
+    fetchBars: async symbol => {
+      const data = fetchFallbackData(symbol);
+      if (!data) throw new Error('no synthetic history for ' + symbol);
+      console.info('Using high-fidelity synthetic data based on real PLTR price history');
+      return data;
+    },
+  });
+  registerProvider({
+    id: 'upload',
+    label: 'Uploaded file',
+    minBars: 2,
+    cacheable: false,
+    fetchBars: fetchFromUpload,
+    fetchIntraday: fetchIntradayFromUpload,
+  });
 
-    const latest = data[data.length - 1];
-    const prev = data[data.length - 2] || latest;
-    const change = latest.close - prev.close;
-    const changePct = (change / prev.close) * 100;
-    const isUp = change >= 0;
+  // ── Data Source Indicator ─────────────────────────────────
+  // ?strict=1 / ?strict=0 wins over the persisted toggle
+  function isStrictMode() {
+    const param = new URLSearchParams(window.location.search).get('strict');
+    if (param !== null) return param !== '0' && param !== 'false';
+    return readStorage(STORAGE_KEYS.strict) === '1';
+  }
 
-    // Nav ticker
-    const tickerPrice = document.getElementById('tickerPrice');
-    const tickerChange = document.getElementById('tickerChange');
-    if (tickerPrice) tickerPrice.textContent = '$' + latest.close.toFixed(2);
-    if (tickerChange) {
-      tickerChange.textContent = (isUp ? '+' : '') + change.toFixed(2) + ' (' + changePct.toFixed(2) + '%)';
-      tickerChange.className = 'ticker-change ' + (isUp ? 'up' : 'down');
-    }
+  function initStrictModeToggle() {
+    const toggle = document.getElementById('strictModeToggle');
+    if (!toggle) return;
+    toggle.checked = isStrictMode();
+    toggle.addEventListener('change', () => {
+      writeStorage(STORAGE_KEYS.strict, toggle.checked ? '1' : '0');
+      // Drop a URL override so the toggle takes effect on reload as well
+      const url = new URL(window.location.href);
+      url.searchParams.delete('strict');
+      history.replaceState(null, '', url);
+      loadStockData();
+    });
+  }
 
-    // Hero market cap (approx shares outstanding: ~2.36B)
-    const sharesOutstanding = 2.36e9;
-    const marketCap = latest.close * sharesOutstanding;
-    const heroMcEl = document.getElementById('heroMarketCap');
-    if (heroMcEl) heroMcEl.textContent = formatCurrency(marketCap);
+  // Age in sessions missed before today (today's may still be trading), so
+  // weekends and holidays never make data look stale
+  function describeFreshness(lastBar) {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const missed = TradingCalendar.sessionsBetween(lastBar, yesterday);
+    return {
+      missed,
+      stale: missed > CONFIG.staleAfterSessions,
+      text: missed === 0 ? 'up to date' : missed === 1 ? '1 session behind' : missed + ' sessions behind',
+    };
+  }
 
-    // Metrics section
-    const metricPrice = document.getElementById('metricPrice');
-    if (metricPrice) metricPrice.textContent = '$' + latest.close.toFixed(2);
+  // status: 'loading' | 'ready' | 'empty'
+  function updateDataStatus(status) {
+    const source = STATE.dataSource;
+    const synthetic = status === 'ready' && source.synthetic;
+    const banner = document.getElementById('syntheticBanner');
+    const statusEl = document.getElementById('dataStatus');
+    const text = document.getElementById('dataStatusText');
+    const badge = document.getElementById('tickerSource');
+    const meta = document.getElementById('priceChartMeta');
 
-    const metricPriceChange = document.getElementById('metricPriceChange');
-    if (metricPriceChange) {
-      metricPriceChange.textContent = (isUp ? '▲ ' : '▼ ') + Math.abs(changePct).toFixed(2) + '% today';
-      metricPriceChange.className = 'metric-change ' + (isUp ? 'up' : 'down');
+    if (banner) banner.hidden = !synthetic;
+
+    const failures = STATE.providerReport.filter(r => !r.ok);
+    const failureText = failures.map(r => `${r.label}: ${r.error}`).join('\n');
+
+    let message;
+    let freshness = null;
+    if (status === 'loading') {
+      message = 'Connecting to data sources...';
+    } else if (status === 'empty') {
+      message = isStrictMode()
+        ? 'Strict mode: no live source responded, synthetic prices withheld'
+        : 'No data source responded for ' + STATE.symbol;
+    } else {
+      freshness = describeFreshness(source.lastBar);
+      message = `Source: ${source.label}${source.file ? ' ' + source.file : ''}${source.cached ? ' (cached)' : ''}` +
+        ` \u2022 Fetched ${formatTimestamp(source.fetchedAt)}` +
+        ` \u2022 Last bar ${formatDate(source.lastBar)} (${freshness.text})`;
+      if (failures.length) message += ` \u2022 ${failures.length} source${failures.length > 1 ? 's' : ''} failed`;
     }
 
-    // 52-week metrics
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-    const yearData = data.filter(d => d.date >= oneYearAgo);
-    if (yearData.length > 0) {
-      const high52 = Math.max(...yearData.map(d => d.high));
-      const low52 = Math.min(...yearData.map(d => d.low));
-      const metric52High = document.getElementById('metric52High');
-      const metric52Low = document.getElementById('metric52Low');
-      if (metric52High) metric52High.textContent = '$' + high52.toFixed(2);
-      if (metric52Low) metric52Low.textContent = '$' + low52.toFixed(2);
+    if (text) text.textContent = message;
+    if (statusEl) {
+      statusEl.title = failureText;
+      statusEl.classList.toggle('synthetic', synthetic);
+      statusEl.classList.toggle('stale', !!(freshness && freshness.stale));
+      statusEl.classList.toggle('empty', status === 'empty');
     }
 
-    // Volume
-    const recentData = data.slice(-30);
-    const avgVol = recentData.reduce((s, d) => s + d.volume, 0) / recentData.length;
-    const metricVolume = document.getElementById('metricVolume');
-    if (metricVolume) metricVolume.textContent = formatNumber(Math.round(avgVol));
+    if (badge) {
+      badge.hidden = status !== 'ready';
+      if (status === 'ready') {
+        badge.textContent = synthetic ? 'SYNTHETIC' : freshness.stale ? 'STALE' : source.label.toUpperCase();
+        badge.className = 'ticker-source' + (synthetic ? ' synthetic' : freshness.stale ? ' stale' : '');
+        badge.title = message;
+      }
+    }
 
-    // Comparison table
-    const compPltrMcap = document.getElementById('compPltrMcap');
-    const compPltrPS = document.getElementById('compPltrPS');
-    if (compPltrMcap) compPltrMcap.textContent = formatCurrency(marketCap);
-    if (compPltrPS) {
-      const psRatio = marketCap / 2.87e9;
-      compPltrPS.textContent = psRatio.toFixed(0) + 'x';
+    // Intraday charts label themselves (see loadIntradayBars)
+    if (meta && STATE.interval === '1d') {
+      meta.title = '';
+      const basis = STATE.priceBasis === 'raw' ? 'Daily Close (as traded)' : 'Adjusted Daily Close';
+      meta.textContent = status === 'ready'
+        ? basis + ' \u2022 Source: ' + source.label + (synthetic ? ' (not real quotes)' : '')
+        : basis;
     }
   }
 
-  // ── Price Chart ───────────────────────────────────────────
-  function renderPriceChart(data, range) {
-    if (!data || data.length === 0) return;
+  // ── Uploaded Price File ───────────────────────────────────
+  // A CSV or JSON file of bars (vendor feed, broker export, Yahoo or Stooq
+  // download) becomes the first provider for the symbol it was loaded under,
+  // until removed. It is kept in memory only, never in the price cache.
+  async function fetchFromUpload(symbol) {
+    const upload = STATE.upload;
+    if (!upload || upload.symbol !== symbol) throw new Error('no file uploaded for ' + symbol);
+    return upload.result.bars;
+  }
 
-    const loading = document.getElementById('priceChartLoading');
-    const canvas = document.getElementById('priceChart');
-    if (loading) loading.style.display = 'none';
-    if (canvas) canvas.style.display = 'block';
+  // The file's intraday rows, combined into bars of `interval` from the
+  // 9:30 open. A file coarser than the interval can't fill it.
+  async function fetchIntradayFromUpload(symbol, interval) {
+    const upload = STATE.upload;
+    if (!upload || upload.symbol !== symbol) throw new Error('no file uploaded for ' + symbol);
+    const rows = upload.result.intradayBars;
+    if (!rows) throw new Error('the file has daily bars only');
+    const { minutes } = INTRADAY_INTERVALS[interval];
+    // Finest spacing between rows of the same session
+    let step = Infinity;
+    rows.forEach((row, i) => {
+      const prev = rows[i - 1];
+      if (prev && prev.date.toDateString() === row.date.toDateString()) step = Math.min(step, (row.date - prev.date) / 60000);
+    });
+    if (step > minutes && step !== Infinity) throw new Error(`the file has ${step}-minute bars`);
 
-    // Filter by range
-    const cutoff = new Date();
-    if (range < 1825) {
-      cutoff.setDate(cutoff.getDate() - range);
-    } else {
-      cutoff.setFullYear(2020, 8, 1); // MAX = from IPO
+    const bars = [];
+    let key = null;
+    rows.forEach(row => {
+      const d = row.date;
+      const start = 570 + Math.floor((d.getHours() * 60 + d.getMinutes() - 570) / minutes) * minutes;
+      const last = bars[bars.length - 1];
+      if (key !== d.toDateString() + start) {
+        key = d.toDateString() + start;
+        const date = new Date(d.getFullYear(), d.getMonth(), d.getDate(), Math.floor(start / 60), start % 60);
+        bars.push({ date, open: row.open, high: row.high, low: row.low, close: row.close, volume: row.volume });
+      } else {
+        last.high = Math.max(last.high, row.high);
+        last.low = Math.min(last.low, row.low);
+        last.close = row.close;
+        last.volume += row.volume;
+      }
+    });
+    return bars;
+  }
+
+  async function loadPriceFile(file) {
+    setText('priceUploadSummary', 'Reading ' + file.name + '...');
+    let result;
+    try {
+      result = PriceFile.parse(await file.text(), { name: file.name });
+    } catch (err) {
+      renderPriceUpload({ name: file.name, message: err.message });
+      return;
     }
-    const filtered = data.filter(d => d.date >= cutoff);
+    const symbol = STATE.symbol;
+    if (result.ticker && result.ticker !== symbol) {
+      result.issues.push({ type: 'warning', message: `File is for ${result.ticker}; showing it as ${symbol}` });
+    }
+    STATE.upload = { symbol, name: file.name, result };
+    renderPriceUpload();
+    loadStockData();
+  }
 
-    const labels = filtered.map(d => d.date.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: range > 365 ? '2-digit' : undefined,
-    }));
-    const closes = filtered.map(d => d.close);
+  // Summary and validation notes for the upload, or why a file was rejected
+  function renderPriceUpload(failure) {
+    const panel = document.getElementById('priceUpload');
+    const issues = document.getElementById('priceUploadIssues');
+    const clear = document.getElementById('priceUploadClear');
+    if (!panel || !issues) return;
+    const upload = STATE.upload;
+    panel.hidden = !upload && !failure;
+    if (clear) clear.hidden = !upload;
 
-    const ctx = canvas.getContext('2d');
-    const gradient = createGradient(ctx, 'rgba(0, 212, 255, 0.15)', 'rgba(0, 212, 255, 0.0)');
+    if (failure) {
+      setText('priceUploadSummary', 'Could not use ' + failure.name + (upload ? '; still showing ' + upload.name : ''));
+      issues.innerHTML = `<li class="issue-error">${escapeHtml(failure.message)}</li>`;
+      return;
+    }
+    if (!upload) return;
 
-    if (STATE.priceChart) STATE.priceChart.destroy();
+    const { result } = upload;
+    const { bars } = result;
+    setText('priceUploadSummary', `${upload.name} \u2022 ${upload.symbol} \u2022 ${result.format}, ` +
+      `${bars.length} sessions ${formatDate(bars[0].date)} to ${formatDate(bars[bars.length - 1].date)}` +
+      (upload.symbol !== STATE.symbol ? ` \u2022 select ${upload.symbol} to view` : ''));
+    issues.innerHTML = result.issues.map(issue =>
+      `<li class="issue-${issue.type}">${escapeHtml(issue.message)}</li>`).join('');
+  }
 
-    // Calculate $125 target line position
-    const minPrice = Math.min(...closes) * 0.9;
-    const maxPrice = Math.max(...closes, 125) * 1.1;
+  function initPriceUpload() {
+    const input = document.getElementById('priceFileInput');
+    if (input) {
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) loadPriceFile(file);
+      });
+    }
 
-    STATE.priceChart = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels,
-        datasets: [{
-          label: 'PLTR Close',
-          data: closes,
-          borderColor: '#00d4ff',
-          backgroundColor: gradient,
-          borderWidth: 2,
-          pointRadius: 0,
-          pointHitRadius: 10,
-          tension: 0.3,
-          fill: true,
-        }],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        interaction: { mode: 'index', intersect: false },
-        scales: {
-          x: {
-            ticks: {
-              maxTicksLimit: 12,
-              maxRotation: 0,
-            },
-            grid: { display: false },
-          },
-          y: {
-            min: minPrice > 0 ? Math.floor(minPrice) : 0,
-            max: Math.ceil(maxPrice),
-            ticks: {
-              callback: v => '$' + v.toFixed(0),
-            },
-          },
-        },
-        plugins: {
-          legend: { display: false },
-          tooltip: {
-            callbacks: {
-              label: ctx => 'Close: $' + ctx.raw.toFixed(2),
-            },
-          },
-          annotation: {
-            annotations: {
-              targetLine: {
-                type: 'line',
-                yMin: 125,
-                yMax: 125,
-                borderColor: 'rgba(201, 168, 76, 0.6)',
-                borderWidth: 2,
-                borderDash: [8, 4],
-                label: {
-                  display: true,
-                  content: '$125 Target',
-                  position: 'end',
-                  backgroundColor: 'rgba(201, 168, 76, 0.9)',
-                  color: '#101820',
-                  font: { size: 11, weight: '700' },
-                  padding: { x: 8, y: 4 },
-                  borderRadius: 4,
-                },
-              },
-            },
-          },
-        },
-      },
+    const clear = document.getElementById('priceUploadClear');
+    if (clear) {
+      clear.addEventListener('click', () => {
+        const shown = STATE.upload && STATE.upload.symbol === STATE.symbol;
+        STATE.upload = null;
+        renderPriceUpload();
+        if (shown) loadStockData();
+      });
+    }
+
+    // Files can be dropped anywhere on the stock section
+    const section = document.getElementById('stock');
+    if (!section) return;
+    const hasFile = e => !!e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+    section.addEventListener('dragover', e => {
+      if (!hasFile(e)) return;
+      e.preventDefault();
+      section.classList.add('drop-active');
+    });
+    section.addEventListener('dragleave', e => {
+      if (!section.contains(e.relatedTarget)) section.classList.remove('drop-active');
+    });
+    section.addEventListener('drop', e => {
+      if (!hasFile(e)) return;
+      e.preventDefault();
+      section.classList.remove('drop-active');
+      const file = e.dataTransfer.files[0];
+      if (file) loadPriceFile(file);
     });
   }
 
-  // ── Volume Chart ──────────────────────────────────────────
-  function renderVolumeChart(data) {
+  // ── Live Quotes ───────────────────────────────────────────
+  // While the market is open the nav ticker, day change and market cap
+  // follow the latest trade. ?liveFeed= picks the feed: an http(s) URL polled
+  // for JSON, a ws(s) URL streamed, or 'mock' for an in-page random walk
+  // ({symbol} in a URL is replaced). Without it, providers with fetchQuote
+  // are polled. Failing feeds back off exponentially. A remote feed has to
+  // come from CONFIG.liveFeedUrl; ?liveFeed= only reaches local ones.
+  function liveParam(name) {
+    return new URLSearchParams(window.location.search).get(name);
+  }
+
+  // ?market=open or ?market=closed pins the session state for testing
+  function currentMarketState() {
+    const state = TradingCalendar.marketState(new Date());
+    const forced = liveParam('market');
+    if (forced !== 'open' && forced !== 'closed') return state;
+    return Object.assign({}, state, { open: forced === 'open', reason: 'forced', msToChange: Infinity });
+  }
+
+  // ?livePoll= (ms) shortens polling against a local mock feed
+  function livePollMs() {
+    return Number(liveParam('livePoll')) || CONFIG.livePollMs;
+  }
+
+  function liveRetryMs() {
+    return Math.min(livePollMs() * 2 ** STATE.live.failures, CONFIG.liveMaxBackoffMs);
+  }
+
+  // Feed messages look like { price | last, time?, previousClose?, symbol? };
+  // time may be epoch seconds, epoch ms or an ISO string
+  function parseQuote(msg, symbol) {
+    const price = Number(msg.price != null ? msg.price : msg.last);
+    if (!(price > 0)) throw new Error('quote without a price');
+    let time = msg.time != null ? msg.time : Date.now();
+    if (typeof time === 'number' && time < 1e11) time *= 1000;
+    const date = new Date(time);
+    return {
+      symbol,
+      price,
+      time: isNaN(date) ? new Date() : date,
+      previousClose: Number(msg.previousClose) > 0 ? Number(msg.previousClose) : null,
+    };
+  }
+
+  // Random walk from the last price, for trying live mode without a server
+  function mockQuote(symbol) {
+    const { quote } = STATE.live;
+    const bars = STATE.dataSource ? STATE.rawBars : null; // null while a symbol loads
+    const last = quote && quote.symbol === symbol ? quote.price : bars && bars[bars.length - 1].close;
+    if (!last) throw new Error('no price to start the mock feed from');
+    return { symbol, price: +(last * (1 + (Math.random() - 0.5) * 0.004)).toFixed(2), time: new Date(), previousClose: null };
+  }
+
+  // A polled feed gets the provider timeout, so a hung request fails and
+  // liveTick backs off instead of waiting on it
+  const LIVE_FEED = { label: 'Live feed', timeout: CONFIG.providerTimeout };
+
+  function liveFeedUrl(feed, symbol) {
+    const url = new URL(feed.replace('{symbol}', encodeURIComponent(symbol)), window.location.href);
+    if (liveParam('liveFeed')) assertLocalUrl(url, 'liveFeed');
+    return url;
+  }
+
+  async function fetchFeedQuote(feed, symbol, { signal } = {}) {
+    const resp = await fetch(liveFeedUrl(feed, symbol), { cache: 'no-store', signal });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.json();
+  }
+
+  async function fetchLiveQuote(symbol, feed) {
+    if (feed === 'mock') return mockQuote(symbol);
+    if (feed) {
+      return parseQuote(await runProvider(LIVE_FEED, symbol, null, (sym, opts) => fetchFeedQuote(feed, sym, opts)), symbol);
+    }
+    const errors = [];
+    for (const id of getProviderPriority(symbol)) {
+      const provider = PROVIDERS[id];
+      if (!provider.fetchQuote) continue;
+      try {
+        return parseQuote(await runProvider(provider, symbol, null, provider.fetchQuote), symbol);
+      } catch (e) {
+        errors.push(`${provider.label}: ${e.message}`);
+      }
+    }
+    throw new Error(errors.join('; ') || 'no source offers live quotes');
+  }
+
+  // Day change is measured from the last session before today, as traded
+  function previousSessionClose() {
+    const bars = STATE.dataSource ? STATE.rawBars : null;
+    if (!bars || !bars.length) return null;
+    const today = TradingCalendar.marketState().session;
+    const last = bars[bars.length - 1];
+    return last.date >= today && bars.length > 1 ? bars[bars.length - 2].close : last.close;
+  }
+
+  function applyLiveQuote(quote) {
+    STATE.live.quote = quote;
+    if (quote.symbol !== STATE.symbol) return;
+    renderQuote(quote.price, quote.previousClose || previousSessionClose());
+    renderLiveStatus('live');
+    checkAlerts(quote);
+  }
+
+  // state: 'off' | 'connecting' | 'live' | 'closed' | 'error'
+  function renderLiveStatus(state, detail) {
+    const badge = document.getElementById('tickerLive');
+    if (badge) badge.hidden = state !== 'live';
+
+    let text = '';
+    if (state === 'connecting') {
+      text = 'Live: connecting...';
+    } else if (state === 'live') {
+      text = 'Live \u2022 ' + STATE.live.quote.time.toLocaleTimeString('en-US');
+    } else if (state === 'closed') {
+      text = detail.reason === 'forced'
+        ? 'Market closed'
+        : `Market closed (${detail.reason}) \u2022 opens ` +
+          detail.opensAt.toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' }) + ' ET';
+    } else if (state === 'error') {
+      text = `Live feed failed (${detail}) \u2022 retrying in ${Math.ceil(liveRetryMs() / 1000)}s`;
+    }
+    setText('liveStatus', text);
+    const status = document.getElementById('liveStatus');
+    if (status) status.className = 'live-status ' + state;
+  }
+
+  function startLiveQuotes() {
+    stopLiveQuotes();
+    const live = STATE.live;
+    live.on = true;
+    live.failures = 0;
+    renderLiveStatus('connecting');
+    liveTick(live.token);
+  }
+
+  function stopLiveQuotes() {
+    const live = STATE.live;
+    live.on = false;
+    live.token++;
+    clearTimeout(live.timer);
+    closeLiveSocket();
+    renderLiveStatus('off');
+  }
+
+  function closeLiveSocket() {
+    const { socket } = STATE.live;
+    if (!socket) return;
+    socket.onclose = null;
+    socket.close();
+    STATE.live.socket = null;
+  }
+
+  // One step of the live loop: sleeps through closed hours, otherwise polls
+  // (or keeps the socket open) and schedules the next step
+  async function liveTick(token) {
+    const live = STATE.live;
+    if (token !== live.token) return;
+    const market = currentMarketState();
+    const recheck = Math.min(market.msToChange, CONFIG.liveRecheckMs);
+    if (!market.open) {
+      closeLiveSocket();
+      renderLiveStatus('closed', market);
+      live.timer = setTimeout(() => liveTick(token), recheck);
+      return;
+    }
+
+    const feed = liveParam('liveFeed') || CONFIG.liveFeedUrl;
+    if (feed && /^wss?:/i.test(feed)) {
+      if (!live.socket) openLiveSocket(feed, token);
+      live.timer = setTimeout(() => liveTick(token), recheck);
+      return;
+    }
+
+    try {
+      const quote = await fetchLiveQuote(STATE.symbol, feed);
+      if (token !== live.token) return;
+      live.failures = 0;
+      applyLiveQuote(quote);
+    } catch (e) {
+      if (token !== live.token) return;
+      live.failures++;
+      console.warn('Live quote failed:', e.message);
+      renderLiveStatus('error', e.message);
+      live.timer = setTimeout(() => liveTick(token), liveRetryMs());
+      return;
+    }
+    live.timer = setTimeout(() => liveTick(token), Math.min(livePollMs(), recheck));
+  }
+
+  // Streams quotes for STATE.symbol; a dropped connection retries with backoff
+  function openLiveSocket(feed, token) {
+    const live = STATE.live;
+    const symbol = STATE.symbol;
+    const retry = message => {
+      live.socket = null;
+      live.failures++;
+      renderLiveStatus('error', message);
+      clearTimeout(live.timer);
+      live.timer = setTimeout(() => liveTick(token), liveRetryMs());
+    };
+
+    let socket;
+    try {
+      socket = new WebSocket(liveFeedUrl(feed, symbol));
+    } catch (e) {
+      retry(e.message);
+      return;
+    }
+    live.socket = socket;
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'subscribe', symbol }));
+    socket.onmessage = e => {
+      if (token !== live.token) return;
+      try {
+        const msg = JSON.parse(e.data);
+        if (msg.symbol && String(msg.symbol).toUpperCase() !== symbol) return;
+        const quote = parseQuote(msg, symbol);
+        live.failures = 0;
+        applyLiveQuote(quote);
+      } catch (err) {
+        console.warn('Ignoring live feed message:', err.message);
+      }
+    };
+    socket.onclose = () => {
+      if (token === live.token) retry('connection closed');
+    };
+  }
+
+  function initLiveQuotes() {
+    const toggle = document.getElementById('liveToggle');
+    if (!toggle) return;
+    toggle.checked = readStorage(STORAGE_KEYS.live) === '1';
+    toggle.addEventListener('change', () => {
+      writeStorage(STORAGE_KEYS.live, toggle.checked ? '1' : '0');
+      if (toggle.checked) {
+        startLiveQuotes();
+      } else {
+        stopLiveQuotes();
+        if (STATE.adjustedBars) updateTickerDisplay(null, STATE.adjustedBars);
+      }
+    });
+    if (toggle.checked) startLiveQuotes();
+  }
+
+  // ── Update Ticker & Metrics ───────────────────────────────
+  function resetTickerDisplay() {
+    ['tickerPrice', 'tickerChange', 'metricPrice', 'metricPriceChange',
+      'metricVolume', 'metric52High', 'metric52Low'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.textContent = '--';
+        el.classList.remove('up', 'down');
+      }
+    });
+  }
+
+  // Price, day change and market cap in the nav ticker, metrics row and hero.
+  // Daily bars set them on load; live quotes update them in place.
+  function renderQuote(price, previousClose) {
+    const info = companyInfo(STATE.symbol);
+    const isPltr = STATE.symbol === 'PLTR';
+    const change = previousClose ? price - previousClose : 0;
+    const changePct = previousClose ? (change / previousClose) * 100 : 0;
+    const isUp = change >= 0;
+
+    // Nav ticker
+    const tickerPrice = document.getElementById('tickerPrice');
+    const tickerChange = document.getElementById('tickerChange');
+    if (tickerPrice) tickerPrice.textContent = '$' + price.toFixed(2);
+    if (tickerChange) {
+      tickerChange.textContent = (isUp ? '+' : '') + change.toFixed(2) + ' (' + changePct.toFixed(2) + '%)';
+      tickerChange.className = 'ticker-change ' + (isUp ? 'up' : 'down');
+    }
+
+    // Market cap needs a share count from the fundamentals dataset
+    const marketCap = info ? price * info.sharesOutstanding : null;
+
+    // Hero stats describe Palantir only
+    const heroMcEl = document.getElementById('heroMarketCap');
+    if (heroMcEl && isPltr && marketCap) heroMcEl.textContent = formatCurrency(marketCap);
+
+    // Metrics section
+    const metricPrice = document.getElementById('metricPrice');
+    if (metricPrice) metricPrice.textContent = '$' + price.toFixed(2);
+
+    const metricPriceChange = document.getElementById('metricPriceChange');
+    if (metricPriceChange) {
+      metricPriceChange.textContent = (isUp ? '▲ ' : '▼ ') + Math.abs(changePct).toFixed(2) + '% today';
+      metricPriceChange.className = 'metric-change ' + (isUp ? 'up' : 'down');
+    }
+  }
+
+  function updateTickerDisplay(meta, data) {
     if (!data || data.length === 0) return;
 
-    const loading = document.getElementById('volumeChartLoading');
-    const canvas = document.getElementById('volumeChart');
+    const latest = data[data.length - 1];
+    const prev = data[data.length - 2] || latest;
+    renderQuote(latest.close, prev.close);
+
+    // 52-week metrics, measured back from the latest bar
+    const anchor = latest.date;
+    const yearStart = TradingCalendar.nextTradingDay(
+      new Date(anchor.getFullYear() - 1, anchor.getMonth(), anchor.getDate() + 1)
+    );
+    const yearData = data.filter(d => d.date >= yearStart);
+    if (yearData.length > 0) {
+      const high52 = Math.max(...yearData.map(d => d.high));
+      const low52 = Math.min(...yearData.map(d => d.low));
+      const metric52High = document.getElementById('metric52High');
+      const metric52Low = document.getElementById('metric52Low');
+      if (metric52High) metric52High.textContent = '$' + high52.toFixed(2);
+      if (metric52Low) metric52Low.textContent = '$' + low52.toFixed(2);
+    }
+
+    // Volume: average over the most recent sessions
+    const avgVol = averageVolume(data, anchor);
+    const metricVolume = document.getElementById('metricVolume');
+    if (metricVolume) metricVolume.textContent = formatNumber(Math.round(avgVol));
+  }
+
+  // Mean volume of the CONFIG.avgVolumeSessions sessions ending at `anchor`
+  function averageVolume(data, anchor) {
+    const start = TradingCalendar.addSessions(anchor, -(CONFIG.avgVolumeSessions - 1));
+    const recent = data.filter(d => d.date >= start && d.date <= anchor);
+    return recent.length ? recent.reduce((s, d) => s + d.volume, 0) / recent.length : 0;
+  }
+
+  // ── Price Chart ───────────────────────────────────────────
+  const UP_COLOR = '#2ed573';
+  const DOWN_COLOR = '#ff4757';
+  const BAR_CHART_TYPES = ['ohlc', 'candlestick', 'heikin-ashi'];
+
+  // Heikin-Ashi bars smooth noise by averaging each bar with the previous one
+  function toHeikinAshi(bars) {
+    const out = [];
+    bars.forEach((bar, i) => {
+      const close = (bar.open + bar.high + bar.low + bar.close) / 4;
+      const open = i === 0
+        ? (bar.open + bar.close) / 2
+        : (out[i - 1].open + out[i - 1].close) / 2;
+      out.push({
+        date: bar.date,
+        open,
+        high: Math.max(bar.high, open, close),
+        low: Math.min(bar.low, open, close),
+        close,
+        volume: bar.volume,
+      });
+    });
+    return out;
+  }
+
+  // Draws OHLC bars or candles for options.plugins.ohlcRenderer.bars, one per
+  // x index. The close-price dataset stays in the chart (transparent) so
+  // scales, hover and tooltips work the same in every chart type.
+  const ohlcPlugin = {
+    id: 'ohlcRenderer',
+    afterDatasetsDraw(chart, args, opts) {
+      if (!opts.bars || !opts.mode) return;
+      const { ctx, chartArea } = chart;
+      const x = chart.scales.x;
+      const y = chart.scales.y;
+      const first = Math.max(0, Math.floor(x.min));
+      const last = Math.min(opts.bars.length - 1, Math.ceil(x.max));
+      const step = x.width / Math.max(last - first + 1, 1);
+      const bodyWidth = Math.max(1, Math.min(12, step * 0.6));
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+      ctx.clip();
+      ctx.lineWidth = 1;
+
+      for (let i = first; i <= last; i++) {
+        const bar = opts.bars[i];
+        const px = x.getPixelForValue(i);
+        const color = bar.close >= bar.open ? UP_COLOR : DOWN_COLOR;
+        const yOpen = y.getPixelForValue(bar.open);
+        const yClose = y.getPixelForValue(bar.close);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+
+        // High-low wick
+        ctx.beginPath();
+        ctx.moveTo(px, y.getPixelForValue(bar.high));
+        ctx.lineTo(px, y.getPixelForValue(bar.low));
+        ctx.stroke();
+
+        if (opts.mode === 'ohlc') {
+          // Open tick to the left, close tick to the right
+          ctx.beginPath();
+          ctx.moveTo(px - bodyWidth / 2, yOpen);
+          ctx.lineTo(px, yOpen);
+          ctx.moveTo(px, yClose);
+          ctx.lineTo(px + bodyWidth / 2, yClose);
+          ctx.stroke();
+        } else {
+          const top = Math.min(yOpen, yClose);
+          const height = Math.max(Math.abs(yClose - yOpen), 1);
+          ctx.fillRect(px - bodyWidth / 2, top, bodyWidth, height);
+        }
+      }
+
+      ctx.restore();
+    },
+  };
+
+  // The price chart always holds the full history; the selected range,
+  // zoom and pan only move the x window (STATE.view) across it.
+  function renderPriceChart(data, range) {
+    if (!data || data.length === 0) return;
+
+    const loading = document.getElementById('priceChartLoading');
+    const canvas = document.getElementById('priceChart');
     if (loading) loading.style.display = 'none';
     if (canvas) canvas.style.display = 'block';
 
-    // Use last 60 trading days for clarity
-    const recent = data.slice(-60);
-    const labels = recent.map(d => d.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-    const volumes = recent.map(d => d.volume);
-    const avgVol = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+    // Comparison mode plots every series as a line relative to the window start
+    const compare = STATE.compare.on;
+    const chartType = compare ? 'line' : STATE.chartType;
+    const isBarType = BAR_CHART_TYPES.includes(chartType);
+    STATE.view = getViewWindow(data, range);
 
-    // Color bars based on price direction
-    const colors = recent.map(d => d.close >= d.open ? 'rgba(46, 213, 115, 0.7)' : 'rgba(255, 71, 87, 0.7)');
+    // Heikin-Ashi is computed on the full history so every bar is seeded
+    // by the bars before it
+    const shown = chartType === 'heikin-ashi' ? toHeikinAshi(data) : data;
+    const labels = data.map(barLabel);
+    // Rebased comparison lines are returns, so they always use adjusted closes
+    const closes = (compare ? STATE.adjustedBars : shown).map(d => d.close);
 
     const ctx = canvas.getContext('2d');
+    const gradient = createGradient(ctx, 'rgba(0, 212, 255, 0.15)', 'rgba(0, 212, 255, 0.0)');
 
-    if (STATE.volumeChart) STATE.volumeChart.destroy();
+    if (STATE.priceChart) STATE.priceChart.destroy();
 
-    STATE.volumeChart = new Chart(ctx, {
-      type: 'bar',
+    // Price target line (PLTR only, from the valuation model's base case)
+    const target = compare ? null : getPriceTarget();
+
+    const overlays = compare ? buildComparisonDatasets(data) : buildOverlayDatasets(data);
+
+    STATE.priceChart = new Chart(ctx, {
+      type: 'line',
       data: {
         labels,
         datasets: [{
-          label: 'Volume',
-          data: volumes,
-          backgroundColor: colors,
-          borderRadius: 2,
-          borderSkipped: false,
-        }],
+          label: compare ? STATE.symbol : STATE.symbol + ' Close',
+          data: compare ? Analytics.rebase(closes, STATE.view.start, STATE.compare.mode) : closes,
+          rawCloses: compare ? closes : null,
+          borderColor: isBarType ? 'transparent' : '#00d4ff',
+          backgroundColor: gradient,
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHitRadius: 10,
+          tension: 0.3,
+          fill: chartType === 'area',
+        }, ...overlays],
       },
+      plugins: [ohlcPlugin],
       options: {
         responsive: true,
         maintainAspectRatio: false,
         interaction: { mode: 'index', intersect: false },
+        onHover: (e, elements, chart) => syncHover(chart, elements),
         scales: {
           x: {
-            ticks: { maxTicksLimit: 8, maxRotation: 0 },
+            min: STATE.view.start,
+            max: STATE.view.end,
+            ticks: {
+              maxTicksLimit: 12,
+              maxRotation: 0,
+              callback: timeTickLabel(data),
+            },
             grid: { display: false },
           },
           y: {
+            afterFit: alignYAxis,
             ticks: {
-              callback: v => formatNumber(v),
+              callback: v => (compare ? formatCompareValue(v, 0) : '$' + v.toFixed(0)),
             },
           },
         },
         plugins: {
-          legend: { display: false },
+          legend: {
+            display: overlays.length > 0,
+            labels: { filter: item => compare || item.datasetIndex > 0 },
+          },
+          ohlcRenderer: {
+            mode: isBarType ? (chartType === 'ohlc' ? 'ohlc' : 'candle') : null,
+            bars: isBarType ? shown : null,
+          },
+          zoom: buildZoomOptions(data),
           tooltip: {
             callbacks: {
-              label: ctx => 'Volume: ' + formatNumber(ctx.raw),
+              label: ctx => {
+                if (compare) {
+                  if (ctx.raw == null) return null;
+                  const close = ctx.dataset.rawCloses[ctx.dataIndex];
+                  return `${ctx.dataset.label}: ${formatCompareValue(ctx.raw, 1)} ($${close.toFixed(2)})`;
+                }
+                if (ctx.datasetIndex > 0) {
+                  return ctx.raw == null ? null : ctx.dataset.label + ': $' + ctx.raw.toFixed(2);
+                }
+                const bar = shown[ctx.dataIndex];
+                const prefix = chartType === 'heikin-ashi' ? 'HA ' : '';
+                const lines = [
+                  prefix + 'Open: $' + bar.open.toFixed(2),
+                  prefix + 'High: $' + bar.high.toFixed(2),
+                  prefix + 'Low: $' + bar.low.toFixed(2),
+                  prefix + 'Close: $' + bar.close.toFixed(2),
+                ];
+                if (chartType === 'heikin-ashi') {
+                  lines.push('Close: $' + data[ctx.dataIndex].close.toFixed(2));
+                }
+                lines.push('Volume: ' + formatNumber(bar.volume));
+                if (STATE.interval !== '1d') return lines;
+                const raw = STATE.rawBars[ctx.dataIndex];
+                if (STATE.priceBasis === 'adjusted' && Math.abs(raw.close - data[ctx.dataIndex].close) >= 0.005) {
+                  lines.push('As traded: $' + raw.close.toFixed(2));
+                }
+                if (raw.split) lines.push('Split ' + formatSplit(raw.split));
+                if (raw.dividend) lines.push('Dividend $' + raw.dividend.toFixed(2) + ' (ex-date)');
+                (eventsBySession(STATE.symbol).get(toInputDate(raw.date)) || []).forEach(event => {
+                  lines.push(`${event.type === 'earnings' ? 'Earnings' : 'Event'}: ${event.title} (${eventWhen(event)})`);
+                });
+                (lotsBySession().get(toInputDate(raw.date)) || []).forEach(lot => {
+                  lines.push(`Bought ${lot.quantity} @ $${lot.price.toFixed(2)}`);
+                });
+                (alertsBySession().get(toInputDate(raw.date)) || []).forEach(entry => {
+                  lines.push('Alert: ' + entry.message);
+                });
+                return lines;
+              },
             },
           },
           annotation: {
-            annotations: {
-              avgLine: {
-                type: 'line',
-                yMin: avgVol,
-                yMax: avgVol,
-                borderColor: 'rgba(0, 212, 255, 0.5)',
-                borderWidth: 1.5,
-                borderDash: [6, 3],
-                label: {
-                  display: true,
-                  content: 'Avg: ' + formatNumber(Math.round(avgVol)),
-                  position: 'start',
-                  backgroundColor: 'rgba(0, 212, 255, 0.8)',
-                  color: '#101820',
-                  font: { size: 10, weight: '600' },
-                  padding: { x: 6, y: 3 },
-                  borderRadius: 3,
-                },
-              },
-            },
+            annotations: Object.assign(compare ? {} : buildCrossAnnotations(data), buildCorporateActionAnnotations(data),
+              buildEventAnnotations(data), buildPortfolioAnnotations(data), buildAlertAnnotations(data), target ? {
+              targetLine: buildTargetLine(target),
+            } : {}),
           },
         },
       },
     });
+
+    fitPriceAxis();
+    STATE.priceChart.update('none');
+    renderIndicatorPanels(data, labels);
+    syncRangeInputs();
+  }
+
+  function buildTargetLine(target) {
+    return {
+      type: 'line',
+      yMin: target,
+      yMax: target,
+      borderColor: 'rgba(201, 168, 76, 0.6)',
+      borderWidth: 2,
+      borderDash: [8, 4],
+      label: {
+        display: true,
+        content: '$' + Math.round(target) + ' Target',
+        position: 'end',
+        backgroundColor: 'rgba(201, 168, 76, 0.9)',
+        color: '#101820',
+        font: { size: 11, weight: '700' },
+        padding: { x: 8, y: 4 },
+        borderRadius: 4,
+      },
+    };
+  }
+
+  // Re-reads the model's base case without rebuilding the chart
+  function updatePriceTargetLine() {
+    const chart = STATE.priceChart;
+    if (!chart) return;
+    const annotations = chart.options.plugins.annotation.annotations;
+    const target = getPriceTarget();
+    if (target) annotations.targetLine = buildTargetLine(target);
+    else delete annotations.targetLine;
+    fitPriceAxis();
+    chart.update('none');
+  }
+
+  // Swaps one group of price chart annotations (keys starting with `prefix`)
+  // without rebuilding the chart
+  function replacePriceAnnotations(prefix, next) {
+    const chart = STATE.priceChart;
+    if (!chart) return;
+    const annotations = chart.options.plugins.annotation.annotations;
+    Object.keys(annotations).forEach(key => {
+      if (key.startsWith(prefix)) delete annotations[key];
+    });
+    Object.assign(annotations, next);
+    chart.update('none');
+  }
+
+  // Fits the y axis to the bars inside the current window (plus the target)
+  function fitPriceAxis() {
+    const chart = STATE.priceChart;
+    const data = STATE.stockData;
+    if (!chart || !data) return;
+
+    const { start, end } = STATE.view;
+    if (STATE.compare.on) {
+      fitComparisonAxis(chart, start, end);
+      return;
+    }
+
+    const opts = chart.options.plugins.ohlcRenderer;
+    const bars = opts.bars || data;
+    const target = getPriceTarget() || 0;
+
+    let low = Infinity;
+    let high = -Infinity;
+    for (let i = start; i <= end; i++) {
+      low = Math.min(low, opts.bars ? bars[i].low : bars[i].close);
+      high = Math.max(high, opts.bars ? bars[i].high : bars[i].close);
+    }
+    const minPrice = low * 0.9;
+    chart.options.scales.y.min = minPrice > 0 ? Math.floor(minPrice) : 0;
+    chart.options.scales.y.max = Math.ceil(Math.max(high, target) * 1.1);
+  }
+
+  // ── Time Window (range, zoom, pan) ────────────────────────
+  // Resolves a range to inclusive bar indexes { start, end }. Ranges are a
+  // number of calendar days, 'ytd', 'max', or 'custom' (STATE.customRange).
+  // Windows end at the latest bar, not today, so stale or cached data still
+  // fills the chart.
+  function getViewWindow(data, range) {
+    const last = data.length - 1;
+    const anchor = data[last].date;
+    let start = 0;
+    let end = last;
+
+    if (range === 'custom' && STATE.customRange) {
+      const { from, to } = STATE.customRange;
+      start = data.findIndex(d => d.date >= from);
+      for (end = last; end > 0 && data[end].date > to; end--);
+    } else if (range === 'ytd') {
+      const firstSession = TradingCalendar.nextTradingDay(new Date(anchor.getFullYear(), 0, 1));
+      start = data.findIndex(d => d.date >= firstSession);
+    } else if (range !== 'max') {
+      const firstSession = TradingCalendar.windowStart(anchor, range);
+      start = data.findIndex(d => d.date >= firstSession);
+    }
+
+    // Ranges past the last bar collapse onto it rather than going empty
+    if (start < 0) start = last;
+    if (end < start) end = start;
+    return { start, end };
+  }
+
+  function timeTickLabel(data) {
+    return function (value) {
+      const bar = data[value];
+      if (!bar) return '';
+      if (STATE.interval !== '1d') {
+        const first = data[Math.max(0, Math.round(this.min))];
+        const last = data[Math.min(data.length - 1, Math.round(this.max))];
+        return first.date.toDateString() === last.date.toDateString()
+          ? bar.date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+          : bar.date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' });
+      }
+      const spanDays = (this.max - this.min) * 7 / 5;
+      return bar.date.toLocaleDateString('en-US', spanDays > 400
+        ? { month: 'short', year: '2-digit' }
+        : { month: 'short', day: 'numeric' });
+    };
+  }
+
+  // Plain drag pans, shift+drag zooms to a box, ctrl+wheel / pinch zooms
+  function buildZoomOptions(data) {
+    return {
+      limits: { x: { min: 0, max: data.length - 1, minRange: 5 } },
+      pan: {
+        enabled: true,
+        mode: 'x',
+        onPanComplete: ({ chart }) => onChartZoomed(chart),
+      },
+      zoom: {
+        mode: 'x',
+        wheel: { enabled: true, modifierKey: 'ctrl' },
+        pinch: { enabled: true },
+        drag: {
+          enabled: true,
+          modifierKey: 'shift',
+          backgroundColor: 'rgba(0, 212, 255, 0.1)',
+          borderColor: 'rgba(0, 212, 255, 0.4)',
+          borderWidth: 1,
+        },
+        onZoomComplete: ({ chart }) => onChartZoomed(chart),
+      },
+    };
+  }
+
+  // Any zoom or pan turns the window into a custom date range
+  function onChartZoomed(chart) {
+    const data = STATE.stockData;
+    const start = Math.max(0, Math.round(chart.scales.x.min));
+    const end = Math.min(data.length - 1, Math.round(chart.scales.x.max));
+    STATE.currentRange = 'custom';
+    STATE.customRange = { from: data[start].date, to: data[end].date };
+    setActiveRangeButton(null);
+    setViewWindow({ start, end });
+  }
+
+  function setRange(range) {
+    STATE.currentRange = range;
+    if (STATE.stockData) setViewWindow(getViewWindow(STATE.stockData, range));
+  }
+
+  // Moves every chart in the linked stack (price, panels, volume) to one window
+  function setViewWindow(view) {
+    STATE.view = view;
+    const charts = [STATE.priceChart, STATE.volumeChart, ...Object.values(STATE.indicatorCharts)];
+    charts.forEach(chart => {
+      if (!chart) return;
+      chart.options.scales.x.min = view.start;
+      chart.options.scales.x.max = view.end;
+    });
+
+    refreshWindowedSeries();
+    fitPriceAxis();
+    charts.forEach(chart => chart && chart.update('none'));
+    syncRangeInputs();
+    renderRiskPanel();
+    renderBacktest();
+  }
+
+  // Series that depend on where the window starts (anchored VWAP, avg volume)
+  function refreshWindowedSeries() {
+    const data = STATE.stockData;
+    const price = STATE.priceChart;
+    if (price) {
+      const vwap = price.data.datasets.find(ds => ds.label === 'VWAP');
+      if (vwap) vwap.data = anchoredVwap(data);
+      // Comparison lines are rebased to the new window start
+      price.data.datasets.forEach(ds => {
+        if (ds.rawCloses) ds.data = Analytics.rebase(ds.rawCloses, STATE.view.start, STATE.compare.mode);
+      });
+    }
+    if (STATE.volumeChart) {
+      const avgLine = STATE.volumeChart.options.plugins.annotation.annotations.avgLine;
+      const avgVol = windowAverageVolume(data);
+      avgLine.yMin = avgVol;
+      avgLine.yMax = avgVol;
+      avgLine.label.content = 'Avg: ' + formatNumber(Math.round(avgVol));
+    }
+  }
+
+  function windowAverageVolume(data) {
+    const { start, end } = STATE.view;
+    let total = 0;
+    for (let i = start; i <= end; i++) total += data[i].volume;
+    return total / (end - start + 1);
+  }
+
+  function setActiveRangeButton(range) {
+    const controls = document.getElementById('priceChartControls');
+    if (!controls) return;
+    controls.querySelectorAll('.chart-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.range === String(range));
+    });
+  }
+
+  function toInputDate(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  function syncRangeInputs() {
+    const from = document.getElementById('rangeFrom');
+    const to = document.getElementById('rangeTo');
+    const data = STATE.stockData;
+    if (!from || !to || !data) return;
+    from.min = to.min = toInputDate(data[0].date);
+    from.max = to.max = toInputDate(data[data.length - 1].date);
+    from.value = toInputDate(data[STATE.view.start].date);
+    to.value = toInputDate(data[STATE.view.end].date);
+  }
+
+  function initRangePicker() {
+    const form = document.getElementById('rangePicker');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const from = document.getElementById('rangeFrom').value;
+      const to = document.getElementById('rangeTo').value;
+      if (!from || !to || !STATE.stockData) return;
+
+      const range = [toSessionDate(from), toSessionDate(to)].sort((a, b) => a - b);
+      STATE.customRange = { from: range[0], to: range[1] };
+      setActiveRangeButton(null);
+      setRange('custom');
+    });
+  }
+
+  // ── Intraday Intervals ────────────────────────────────────
+  // Minute and hourly bars replace the daily series on the price, volume and
+  // indicator charts. Risk statistics and the ticker stay on daily bars, and
+  // comparison mode (aligned by session) only runs on the daily interval.
+  async function fetchIntradayBars(symbol, interval) {
+    const errors = [];
+    for (const id of getProviderPriority(symbol)) {
+      const provider = PROVIDERS[id];
+      if (!provider.fetchIntraday) continue;
+      try {
+        const rows = await runProvider(provider, symbol, null,
+          (sym, opts) => provider.fetchIntraday(sym, interval, opts));
+        const bars = normalizeBars(rows || [], toExchangeTime);
+        if (bars.length < 2) throw new Error(`only ${bars.length} bars`);
+        return { bars, provider };
+      } catch (e) {
+        console.warn(`${provider.label} intraday failed for ${symbol}:`, e.message);
+        errors.push(`${provider.label}: ${e.message}`);
+      }
+    }
+    return { bars: null, errors };
+  }
+
+  async function loadIntradayBars() {
+    const { symbol, interval } = STATE;
+    const { label } = INTRADAY_INTERVALS[interval];
+    const token = ++STATE.intradayToken;
+    setChartLoading('price', `Loading ${label} bars...`, true);
+    setChartLoading('volume', 'Loading...', true);
+
+    const result = await fetchIntradayBars(symbol, interval);
+    if (token !== STATE.intradayToken || symbol !== STATE.symbol) return;
+    const meta = document.getElementById('priceChartMeta');
+    if (!result.bars) {
+      STATE.stockData = null;
+      setChartLoading('price', `No ${label} data available for ${symbol}`, false);
+      setChartLoading('volume', 'No volume data', false);
+      if (meta) {
+        meta.textContent = `${label} bars unavailable`;
+        meta.title = result.errors.join('\n');
+      }
+      return;
+    }
+
+    STATE.stockData = result.bars;
+    renderPriceChart(STATE.stockData, STATE.currentRange);
+    renderVolumeChart(STATE.stockData);
+    if (meta) {
+      meta.textContent = `${label} bars, New York time \u2022 Source: ${result.provider.label}`;
+      meta.title = '';
+    }
+  }
+
+  function setBarInterval(interval) {
+    STATE.interval = interval;
+    STATE.intradayToken++;
+    document.querySelectorAll('#intervalControls .chart-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.interval === interval);
+    });
+    if (interval !== '1d' && STATE.compare.on) {
+      STATE.compare.on = false;
+      const toggle = document.querySelector('#compareControls [data-compare="on"]');
+      if (toggle) toggle.checked = false;
+      updateCompareControls();
+    }
+    if (!STATE.rawBars) return; // applyStockData picks the interval up
+
+    if (interval !== '1d') {
+      loadIntradayBars();
+      return;
+    }
+    STATE.stockData = basisBars();
+    renderPriceChart(STATE.stockData, STATE.currentRange);
+    renderVolumeChart(STATE.stockData);
+    updateDataStatus('ready');
+  }
+
+  // Axis and tooltip label: the session date, plus the time on intraday bars
+  function barLabel(bar) {
+    if (STATE.interval === '1d') return formatDate(bar.date);
+    return formatDate(bar.date) + ' ' + bar.date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  }
+
+  // ── Technical Indicators ──────────────────────────────────
+  // Overlays draw on the price chart; panel indicators get their own chart
+  // under it, sharing its labels so the x positions line up.
+  const PANEL_INDICATORS = ['rsi', 'macd', 'obv'];
+  const OVERLAY_COLORS = {
+    sma: ['#c9a84c', '#ff6b81', '#a29bfe'],
+    ema: ['#7bed9f', '#70a1ff', '#eccc68'],
+  };
+
+  function overlayLine(label, values, color, extra) {
+    return Object.assign({
+      label,
+      data: values,
+      borderColor: color,
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      pointRadius: 0,
+      pointHitRadius: 0,
+      fill: false,
+      spanGaps: false,
+    }, extra);
+  }
+
+  function buildOverlayDatasets(data) {
+    const ind = STATE.indicators;
+    const closes = data.map(d => d.close);
+    const datasets = [];
+
+    if (ind.sma.on) {
+      ind.sma.periods.forEach((p, i) => {
+        datasets.push(overlayLine('SMA ' + p, Analytics.sma(closes, p), OVERLAY_COLORS.sma[i % 3]));
+      });
+    }
+    if (ind.ema.on) {
+      ind.ema.periods.forEach((p, i) => {
+        datasets.push(overlayLine('EMA ' + p, Analytics.ema(closes, p), OVERLAY_COLORS.ema[i % 3]));
+      });
+    }
+    if (ind.bollinger.on) {
+      const bands = Analytics.bollinger(closes, ind.bollinger.period, ind.bollinger.mult);
+      const label = `BB(${ind.bollinger.period}, ${ind.bollinger.mult})`;
+      datasets.push(overlayLine(label + ' Upper', bands.upper, 'rgba(162, 155, 254, 0.8)', { borderDash: [4, 3] }));
+      datasets.push(overlayLine(label + ' Mid', bands.middle, 'rgba(162, 155, 254, 0.5)'));
+      datasets.push(overlayLine(label + ' Lower', bands.lower, 'rgba(162, 155, 254, 0.8)', {
+        borderDash: [4, 3],
+        fill: '-2',
+        backgroundColor: 'rgba(162, 155, 254, 0.06)',
+      }));
+    }
+    if (ind.vwap.on) {
+      datasets.push(overlayLine('VWAP', anchoredVwap(data), '#eccc68', { borderDash: [6, 3] }));
+    }
+    return datasets;
+  }
+
+  // VWAP anchored to the first bar of the current window
+  function anchoredVwap(data) {
+    const start = STATE.view.start;
+    return new Array(start).fill(null).concat(Analytics.vwap(data.slice(start)));
+  }
+
+  // Golden/death cross markers between the two shortest SMA periods
+  function buildCrossAnnotations(data) {
+    const sma = STATE.indicators.sma;
+    if (!sma.on || sma.periods.length < 2) return {};
+    const [fastP, slowP] = [...sma.periods].sort((a, b) => a - b);
+    const closes = data.map(d => d.close);
+    const fast = Analytics.sma(closes, fastP);
+    const slow = Analytics.sma(closes, slowP);
+
+    const annotations = {};
+    Analytics.crossovers(fast, slow)
+      .forEach((c, i) => {
+        annotations['cross' + i] = {
+          type: 'point',
+          xValue: c.index,
+          yValue: fast[c.index],
+          radius: 5,
+          backgroundColor: c.type === 'golden' ? UP_COLOR : DOWN_COLOR,
+          borderColor: '#101820',
+          borderWidth: 1,
+        };
+      });
+    return annotations;
+  }
+
+  // Splits get a labelled line and dividends a dot on their ex-dates
+  function buildCorporateActionAnnotations(data) {
+    const annotations = {};
+    data.forEach((bar, i) => {
+      if (bar.split) {
+        annotations['split' + i] = {
+          type: 'line',
+          xMin: i,
+          xMax: i,
+          borderColor: 'rgba(201, 168, 76, 0.6)',
+          borderWidth: 1,
+          borderDash: [4, 4],
+          label: {
+            display: true,
+            content: 'Split ' + formatSplit(bar.split),
+            position: 'start',
+            backgroundColor: 'rgba(201, 168, 76, 0.9)',
+            color: '#101820',
+            font: { size: 10, weight: '700' },
+            padding: { x: 6, y: 3 },
+            borderRadius: 4,
+          },
+        };
+      }
+      if (bar.dividend) {
+        annotations['dividend' + i] = {
+          type: 'point',
+          xValue: i,
+          yValue: bar.low,
+          radius: 3,
+          backgroundColor: '#a29bfe',
+          borderColor: '#101820',
+          borderWidth: 1,
+        };
+      }
+    });
+    return annotations;
+  }
+
+  // 4 -> "4:1", 0.1 -> "1:10"
+  function formatSplit(ratio) {
+    const round = v => +v.toFixed(2);
+    return ratio >= 1 ? round(ratio) + ':1' : '1:' + round(1 / ratio);
+  }
+
+  function renderIndicatorPanels(data, labels) {
+    const container = document.getElementById('indicatorPanels');
+    if (!container) return;
+
+    Object.values(STATE.indicatorCharts).forEach(chart => chart.destroy());
+    STATE.indicatorCharts = {};
+    container.innerHTML = '';
+
+    const keys = PANEL_INDICATORS.filter(key => STATE.indicators[key].on);
+    if (comparisonBenchmark()) keys.push('relative');
+
+    keys.forEach(key => {
+      const panel = document.createElement('div');
+      panel.className = 'indicator-panel';
+      panel.innerHTML = exportMenuHtml() + `<canvas id="${key}Chart"></canvas>`;
+      container.appendChild(panel);
+      const ctx = panel.querySelector('canvas').getContext('2d');
+      STATE.indicatorCharts[key] = new Chart(ctx, buildPanelConfig(key, data, labels));
+    });
+  }
+
+  function buildPanelConfig(key, data, labels) {
+    const ind = STATE.indicators[key];
+    const closes = data.map(d => d.close);
+    let datasets;
+    let annotations = {};
+    let tickFormat = v => v.toFixed(0);
+
+    if (key === 'relative') {
+      const { benchmark, window } = STATE.compare;
+      const adjusted = STATE.adjustedBars;
+      const rel = Analytics.rollingBeta(adjusted.map(d => d.close), alignCloses(adjusted, comparisonBenchmark().bars), window);
+      datasets = [
+        overlayLine(`Beta vs ${benchmark} (${window}d)`, rel.beta, '#c9a84c'),
+        overlayLine(`Correlation (${window}d)`, rel.correlation, '#00d4ff'),
+      ];
+      annotations = {
+        zero: { type: 'line', yMin: 0, yMax: 0, borderColor: 'rgba(255, 255, 255, 0.15)', borderWidth: 1, borderDash: [4, 4] },
+        one: { type: 'line', yMin: 1, yMax: 1, borderColor: 'rgba(201, 168, 76, 0.3)', borderWidth: 1, borderDash: [4, 4] },
+      };
+      tickFormat = v => v.toFixed(2);
+    } else if (key === 'rsi') {
+      datasets = [overlayLine(`RSI(${ind.period})`, Analytics.rsi(closes, ind.period), '#00d4ff')];
+      annotations = {
+        overbought: { type: 'line', yMin: 70, yMax: 70, borderColor: 'rgba(255, 71, 87, 0.5)', borderWidth: 1, borderDash: [4, 4] },
+        oversold: { type: 'line', yMin: 30, yMax: 30, borderColor: 'rgba(46, 213, 115, 0.5)', borderWidth: 1, borderDash: [4, 4] },
+      };
+    } else if (key === 'macd') {
+      const m = Analytics.macd(closes, ind.fast, ind.slow, ind.signal);
+      const hist = m.histogram;
+      datasets = [
+        overlayLine(`MACD(${ind.fast}, ${ind.slow})`, m.macd, '#00d4ff'),
+        overlayLine(`Signal(${ind.signal})`, m.signal, '#c9a84c'),
+        {
+          type: 'bar',
+          label: 'Histogram',
+          data: hist,
+          backgroundColor: hist.map(v => (v >= 0 ? 'rgba(46, 213, 115, 0.5)' : 'rgba(255, 71, 87, 0.5)')),
+        },
+      ];
+      tickFormat = v => v.toFixed(1);
+    } else {
+      datasets = [overlayLine('OBV', Analytics.obv(data), '#a29bfe')];
+      tickFormat = v => (v < 0 ? '-' : '') + formatNumber(Math.abs(v));
+    }
+
+    return {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        onHover: (e, elements, chart) => syncHover(chart, elements),
+        scales: {
+          x: { display: false, min: STATE.view.start, max: STATE.view.end },
+          y: {
+            min: key === 'rsi' ? 0 : undefined,
+            max: key === 'rsi' ? 100 : undefined,
+            afterFit: alignYAxis,
+            ticks: { maxTicksLimit: 4, callback: tickFormat },
+          },
+        },
+        plugins: {
+          legend: { display: true, position: 'top', align: 'start', labels: { boxHeight: 6, padding: 10 } },
+          tooltip: {
+            callbacks: {
+              label: ctx => (ctx.raw == null ? null : ctx.dataset.label + ': ' + tickFormat(ctx.raw)),
+            },
+          },
+          annotation: { annotations },
+        },
+      },
+    };
+  }
+
+  // Fixed y-axis width so stacked panels share the price chart's x positions
+  function alignYAxis(scale) {
+    scale.width = 64;
+  }
+
+  // Mirrors the hovered index onto every other chart in the price stack
+  function syncHover(source, elements) {
+    const index = elements.length ? elements[0].index : null;
+    [STATE.priceChart, ...Object.values(STATE.indicatorCharts)].forEach(chart => {
+      if (!chart || chart === source) return;
+      const active = index == null ? [] : chart.data.datasets
+        .map((ds, datasetIndex) => ({ datasetIndex, index }))
+        .filter(a => chart.data.datasets[a.datasetIndex].data[index] != null);
+      chart.setActiveElements(active);
+      chart.tooltip.setActiveElements(active, { x: 0, y: 0 });
+      chart.update('none');
+    });
+  }
+
+  function initIndicatorControls() {
+    const controls = document.getElementById('indicatorControls');
+    if (!controls) return;
+
+    controls.addEventListener('change', () => {
+      controls.querySelectorAll('[data-indicator]').forEach(toggle => {
+        const settings = STATE.indicators[toggle.dataset.indicator];
+        settings.on = toggle.checked;
+        toggle.closest('.indicator-toggle').querySelectorAll('[data-param]').forEach(input => {
+          const param = input.dataset.param;
+          if (param === 'periods') {
+            const periods = input.value.split(',')
+              .map(v => parseInt(v, 10))
+              .filter(n => n >= 2 && n <= 500);
+            if (periods.length) settings.periods = periods;
+            return;
+          }
+          const value = parseFloat(input.value);
+          if (Number.isFinite(value) && value > 0) {
+            settings[param] = param === 'mult' ? value : Math.round(value);
+          }
+        });
+      });
+      renderPriceChart(STATE.stockData, STATE.currentRange);
+    });
+  }
+
+  // ── Comparison Mode ───────────────────────────────────────
+  // Overlays benchmarks and peers on the price chart, each rebased at the
+  // start of the window, plus a rolling beta/correlation panel against the
+  // chosen benchmark.
+  const COMPARE_COLORS = ['#c9a84c', '#ff6b81', '#7bed9f', '#a29bfe', '#eccc68', '#70a1ff', '#ff9f43', '#dfe4ea'];
+
+  // Uses the price cache when it is fresh, otherwise the provider chain
+  async function loadComparisonBars(symbol) {
+    const priority = getProviderPriority(symbol);
+    const allCached = await readCachedBars(symbol);
+    const cache = {};
+    priority.forEach(id => {
+      if (allCached[id]) cache[id] = allCached[id];
+    });
+    const cachedId = priority.find(id => cache[id]);
+    const cached = cachedId ? cache[cachedId] : null;
+
+    // Overlays and beta compare returns, so peers are adjusted too
+    let entry = null;
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.cacheTtlMs) {
+      entry = { bars: Analytics.adjustBars(cached.bars), synthetic: false };
+    } else {
+      const result = await fetchStockData(symbol, cache);
+      if (result.bars) entry = { bars: Analytics.adjustBars(result.bars), synthetic: !!result.provider.synthetic };
+      else if (cached) entry = { bars: Analytics.adjustBars(cached.bars), synthetic: false };
+    }
+    STATE.compareData[symbol] = entry;
+    return entry;
+  }
+
+  // Loads any selected series (and the beta benchmark) not fetched yet;
+  // resolves true when something new arrived
+  async function ensureComparisonData() {
+    const { symbols, benchmark } = STATE.compare;
+    const wanted = [...new Set([...symbols, benchmark])]
+      .filter(symbol => symbol !== STATE.symbol && !(symbol in STATE.compareData));
+    if (!wanted.length) return false;
+
+    setText('compareStatus', 'Loading ' + wanted.join(', ') + '...');
+    await Promise.all(wanted.map(loadComparisonBars));
+    updateCompareControls();
+    return true;
+  }
+
+  // Closes of `bars` placed on the primary series' sessions (null where missing)
+  function alignCloses(data, bars) {
+    const byDay = new Map(bars.map(b => [b.date.getTime(), b.close]));
+    return data.map(d => (byDay.has(d.date.getTime()) ? byDay.get(d.date.getTime()) : null));
+  }
+
+  function buildComparisonDatasets(data) {
+    const { symbols, mode } = STATE.compare;
+    return symbols
+      .filter(symbol => symbol !== STATE.symbol && STATE.compareData[symbol])
+      .map((symbol, i) => {
+        const entry = STATE.compareData[symbol];
+        const closes = alignCloses(data, entry.bars);
+        return overlayLine(symbol + (entry.synthetic ? ' (synthetic)' : ''),
+          Analytics.rebase(closes, STATE.view.start, mode),
+          COMPARE_COLORS[i % COMPARE_COLORS.length],
+          { rawCloses: closes, spanGaps: true, pointHitRadius: 6 });
+      });
+  }
+
+  // Benchmark entry for the beta panel, or null when it cannot be drawn
+  function comparisonBenchmark() {
+    const { on, benchmark } = STATE.compare;
+    if (!on || benchmark === STATE.symbol) return null;
+    return STATE.compareData[benchmark] || null;
+  }
+
+  function formatCompareValue(v, digits) {
+    if (STATE.compare.mode === 'percent') return (v > 0 ? '+' : '') + v.toFixed(digits) + '%';
+    return v.toFixed(digits);
+  }
+
+  function fitComparisonAxis(chart, start, end) {
+    let low = Infinity;
+    let high = -Infinity;
+    chart.data.datasets.forEach(ds => {
+      for (let i = start; i <= end; i++) {
+        const v = ds.data[i];
+        if (v == null) continue;
+        low = Math.min(low, v);
+        high = Math.max(high, v);
+      }
+    });
+    if (low === Infinity) return;
+    const pad = (high - low) * 0.05 || 1;
+    chart.options.scales.y.min = low - pad;
+    chart.options.scales.y.max = high + pad;
+  }
+
+  // Hides the primary symbol's own checkbox and flags series with no data
+  function updateCompareControls() {
+    const controls = document.getElementById('compareControls');
+    if (!controls) return;
+    const missing = [];
+    controls.querySelectorAll('.compare-symbol input').forEach(box => {
+      const symbol = box.value;
+      const label = box.closest('.compare-symbol');
+      const unavailable = STATE.compareData[symbol] === null;
+      label.hidden = symbol === STATE.symbol;
+      label.classList.toggle('unavailable', unavailable);
+      label.title = unavailable ? 'No data source has ' + symbol : (BENCHMARKS[symbol] || SYMBOLS[symbol].name);
+      if (unavailable && box.checked && symbol !== STATE.symbol) missing.push(symbol);
+    });
+    const { on, benchmark } = STATE.compare;
+    if (on && benchmark !== STATE.symbol && STATE.compareData[benchmark] === null && !missing.includes(benchmark)) {
+      missing.push(benchmark);
+    }
+    setText('compareStatus', on && missing.length ? 'No data for ' + missing.join(', ') : '');
+  }
+
+  function initCompareControls() {
+    const controls = document.getElementById('compareControls');
+    if (!controls) return;
+    updateCompareControls();
+
+    controls.addEventListener('change', async () => {
+      const field = name => controls.querySelector(`[data-compare="${name}"]`);
+      const period = parseInt(field('window').value, 10);
+      Object.assign(STATE.compare, {
+        on: field('on').checked,
+        symbols: [...controls.querySelectorAll('.compare-symbol input:checked')].map(box => box.value),
+        mode: field('mode').value,
+        benchmark: field('benchmark').value,
+        window: period >= 10 && period <= 500 ? period : STATE.compare.window,
+      });
+
+      if (STATE.compare.on && STATE.interval !== '1d') setBarInterval('1d');
+      if (STATE.compare.on) await ensureComparisonData();
+      updateCompareControls();
+      if (STATE.stockData) renderPriceChart(STATE.stockData, STATE.currentRange);
+    });
+  }
+
+  // ── Volume Chart ──────────────────────────────────────────
+  function renderVolumeChart(data) {
+    if (!data || data.length === 0) return;
+
+    const loading = document.getElementById('volumeChartLoading');
+    const canvas = document.getElementById('volumeChart');
+    if (loading) loading.style.display = 'none';
+    if (canvas) canvas.style.display = 'block';
+
+    // Full history, windowed to the same bars as the price chart
+    const labels = data.map(barLabel);
+    const volumes = data.map(d => d.volume);
+    const avgVol = windowAverageVolume(data);
+
+    // Color bars based on price direction
+    const colors = data.map(d => d.close >= d.open ? 'rgba(46, 213, 115, 0.7)' : 'rgba(255, 71, 87, 0.7)');
+
+    const ctx = canvas.getContext('2d');
+
+    if (STATE.volumeChart) STATE.volumeChart.destroy();
+
+    STATE.volumeChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: STATE.symbol + ' Volume',
+          data: volumes,
+          backgroundColor: colors,
+          borderRadius: 2,
+          borderSkipped: false,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: {
+            min: STATE.view.start,
+            max: STATE.view.end,
+            ticks: { maxTicksLimit: 8, maxRotation: 0, callback: timeTickLabel(data) },
+            grid: { display: false },
+          },
+          y: {
+            ticks: {
+              callback: v => formatNumber(v),
+            },
+          },
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: ctx => 'Volume: ' + formatNumber(ctx.raw),
+            },
+          },
+          zoom: buildZoomOptions(data),
+          annotation: {
+            annotations: {
+              avgLine: {
+                type: 'line',
+                yMin: avgVol,
+                yMax: avgVol,
+                borderColor: 'rgba(0, 212, 255, 0.5)',
+                borderWidth: 1.5,
+                borderDash: [6, 3],
+                label: {
+                  display: true,
+                  content: 'Avg: ' + formatNumber(Math.round(avgVol)),
+                  position: 'start',
+                  backgroundColor: 'rgba(0, 212, 255, 0.8)',
+                  color: '#101820',
+                  font: { size: 10, weight: '600' },
+                  padding: { x: 6, y: 3 },
+                  borderRadius: 3,
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+  }
+
+  // ── Risk & Return ─────────────────────────────────────────
+  // Statistics over the bars in the active window (STATE.view), so range
+  // buttons, zoom and pan all apply
+  function statsView() {
+    // Intraday charts have their own window; statistics stay on daily bars
+    return STATE.interval !== '1d' ? getViewWindow(STATE.adjustedBars, STATE.currentRange) : STATE.view;
+  }
+
+  function statsWindowBars() {
+    if (!STATE.adjustedBars) return [];
+    const view = statsView();
+    return STATE.adjustedBars.slice(view.start, view.end + 1);
+  }
+
+  function renderRiskPanel() {
+    const container = document.getElementById('riskStats');
+    if (!container) return;
+    const data = STATE.adjustedBars;
+    const bars = statsWindowBars();
+    const stats = Analytics.riskStats(bars, { riskFree: CONFIG.riskFreeRate });
+
+    if (!stats) {
+      container.innerHTML = '';
+      setText('riskMeta', data ? 'Select a longer range for statistics' : 'No price data loaded');
+      [STATE.returnsChart, STATE.drawdownChart].forEach(chart => {
+        if (chart) {
+          chart.data.labels = [];
+          chart.data.datasets[0].data = [];
+          chart.update('none');
+        }
+      });
+      return;
+    }
+
+    setText('riskMeta', `${formatDate(bars[0].date)} \u2013 ${formatDate(bars[bars.length - 1].date)} ` +
+      `\u2022 ${bars.length} sessions \u2022 risk-free ${(CONFIG.riskFreeRate * 100).toFixed(1)}%`);
+
+    const pct = v => (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+    const ratio = v => (v == null ? '--' : v.toFixed(2));
+    const tone = v => (v == null ? '' : v >= 0 ? 'up' : 'down');
+    const dd = stats.maxDrawdown;
+    const items = [
+      ['CAGR', stats.cagr == null ? '--' : pct(stats.cagr), tone(stats.cagr), 'Total ' + pct(stats.totalReturn)],
+      ['Volatility (ann.)', (stats.volatility * 100).toFixed(1) + '%', '', ''],
+      ['Sharpe Ratio', ratio(stats.sharpe), tone(stats.sharpe), ''],
+      ['Sortino Ratio', ratio(stats.sortino), tone(stats.sortino), ''],
+      ['Max Drawdown', pct(dd.depth), 'down', dd.depth < 0
+        ? formatDate(bars[dd.peak].date) + ' \u2192 ' + formatDate(bars[dd.trough].date)
+        : 'No decline'],
+      ['Best Day', pct(stats.best.change), 'up', formatDate(bars[stats.best.index].date)],
+      ['Worst Day', pct(stats.worst.change), 'down', formatDate(bars[stats.worst.index].date)],
+    ];
+    container.innerHTML = items.map(([label, value, cls, sub]) => `
+      <div class="risk-stat">
+        <div class="risk-value ${cls}">${value}</div>
+        <div class="risk-label">${label}</div>
+        ${sub ? `<div class="risk-sub">${sub}</div>` : ''}
+      </div>
+    `).join('');
+
+    renderReturnsHistogram(stats.returns);
+    renderDrawdownChart(bars);
+  }
+
+  function renderReturnsHistogram(returns) {
+    const { edges, counts } = Analytics.histogram(returns.map(r => r * 100), 30);
+    const labels = counts.map((_, i) => ((edges[i] + edges[i + 1]) / 2).toFixed(1) + '%');
+    const colors = counts.map((_, i) => (edges[i] + edges[i + 1] >= 0
+      ? 'rgba(46, 213, 115, 0.6)'
+      : 'rgba(255, 71, 87, 0.6)'));
+
+    if (STATE.returnsChart) {
+      const chart = STATE.returnsChart;
+      chart.data.labels = labels;
+      chart.data.datasets[0].data = counts;
+      chart.data.datasets[0].backgroundColor = colors;
+      chart.update('none');
+      return;
+    }
+
+    const canvas = document.getElementById('returnsChart');
+    if (!canvas) return;
+    STATE.returnsChart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Days',
+          data: counts,
+          backgroundColor: colors,
+          borderRadius: 2,
+          barPercentage: 1,
+          categoryPercentage: 0.95,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: items => 'Daily return \u2248 ' + items[0].label,
+              label: ctx => ctx.raw + (ctx.raw === 1 ? ' day' : ' days'),
+            },
+          },
+        },
+        scales: {
+          x: { grid: { display: false }, ticks: { maxTicksLimit: 7, maxRotation: 0 } },
+          y: { ticks: { precision: 0 } },
+        },
+      },
+    });
+  }
+
+  function renderDrawdownChart(bars) {
+    const labels = bars.map(d => formatDate(d.date));
+    const series = Analytics.drawdowns(bars.map(d => d.close)).map(v => v * 100);
+
+    if (STATE.drawdownChart) {
+      const chart = STATE.drawdownChart;
+      chart.data.labels = labels;
+      chart.data.datasets[0].data = series;
+      chart.update('none');
+      return;
+    }
+
+    const canvas = document.getElementById('drawdownChart');
+    if (!canvas) return;
+    STATE.drawdownChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Drawdown',
+          data: series,
+          borderColor: '#ff4757',
+          backgroundColor: 'rgba(255, 71, 87, 0.15)',
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: 'origin',
+          tension: 0.1,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: { label: ctx => 'Drawdown: ' + ctx.raw.toFixed(1) + '%' },
+          },
+        },
+        scales: {
+          x: { grid: { display: false }, ticks: { maxTicksLimit: 6, maxRotation: 0 } },
+          y: { max: 0, ticks: { callback: v => v + '%' } },
+        },
+      },
+    });
+  }
+
+  // ── Price Alerts ──────────────────────────────────────────
+  // Rules are kept in localStorage and checked against the latest daily bar
+  // whenever prices load, and against each live quote. A rule fires at most
+  // once per session; hits go to the alert log, a browser notification when
+  // permitted, and a marker on the price chart.
+  const ALERT_TYPES = {
+    above: { label: 'Price above', needsValue: true },
+    below: { label: 'Price below', needsValue: true },
+    near: { label: 'Within % of target', needsValue: true, scenarioOnly: true },
+    move: { label: 'Day move of %', needsValue: true },
+    high52: { label: 'New 52-week high' },
+    low52: { label: 'New 52-week low' },
+    volume: { label: 'Volume \u00d7 30-day avg', needsValue: true },
+  };
+
+  const ALERT_LOG_LIMIT = 50;
+
+  function loadAlerts() {
+    try {
+      const saved = JSON.parse(readStorage(STORAGE_KEYS.alerts));
+      if (saved && Array.isArray(saved.rules) && Array.isArray(saved.log)) {
+        return {
+          rules: saved.rules.filter(r => ALERT_TYPES[r.type]),
+          log: saved.log.slice(0, ALERT_LOG_LIMIT),
+        };
+      }
+    } catch (e) {
+      // fall through to the defaults
+    }
+    return { rules: [], log: [] };
+  }
+
+  function saveAlerts() {
+    writeStorage(STORAGE_KEYS.alerts, JSON.stringify(STATE.alerts));
+  }
+
+  // Price a rule compares against: its own value, or the current model's
+  // scenario price (PLTR only, and only once the model has loaded)
+  function alertPrice(rule) {
+    if (!rule.scenario) return rule.value;
+    if (rule.symbol !== 'PLTR' || !STATE.valuation) return null;
+    return projectValuation()[rule.scenario].price;
+  }
+
+  function describeAlert(rule) {
+    const scenario = rule.scenario && SCENARIOS.find(s => s.key === rule.scenario);
+    const price = alertPrice(rule);
+    const target = scenario
+      ? `${scenario.label} target${price == null ? '' : ' ($' + price.toFixed(2) + ')'}`
+      : '$' + (price || 0).toFixed(2);
+    switch (rule.type) {
+      case 'above': return `${rule.symbol} above ${target}`;
+      case 'below': return `${rule.symbol} below ${target}`;
+      case 'near': return `${rule.symbol} within ${rule.value}% of ${target}`;
+      case 'move': return `${rule.symbol} moves ${rule.value}% in a session`;
+      case 'high52': return `${rule.symbol} makes a new 52-week high`;
+      case 'low52': return `${rule.symbol} makes a new 52-week low`;
+      default: return `${rule.symbol} volume ${rule.value}\u00d7 its 30-day average`;
+    }
+  }
+
+  // What the rules are checked against: the latest bar, or a live quote on
+  // top of the daily history. 52-week and volume references come from the
+  // sessions before the one being checked.
+  function alertSnapshot(quote) {
+    const bars = STATE.adjustedBars;
+    if (!bars || bars.length < 2) return null;
+    const last = bars[bars.length - 1];
+    const session = quote ? TradingCalendar.marketState(quote.time).session : last.date;
+    const history = last.date >= session ? bars.slice(0, -1) : bars;
+    const prev = history[history.length - 1];
+    const yearStart = TradingCalendar.nextTradingDay(
+      new Date(session.getFullYear() - 1, session.getMonth(), session.getDate() + 1)
+    );
+    const year = history.filter(d => d.date >= yearStart);
+    return {
+      session,
+      price: quote ? quote.price : last.close,
+      previousClose: quote ? quote.previousClose || previousSessionClose() : prev.close,
+      high52: year.length ? Math.max(...year.map(d => d.high)) : null,
+      low52: year.length ? Math.min(...year.map(d => d.low)) : null,
+      // Live quotes carry no session volume
+      volume: quote ? null : last.volume,
+      avgVolume: averageVolume(history, prev.date),
+    };
+  }
+
+  function alertHit(rule, snap) {
+    const { price } = snap;
+    const target = alertPrice(rule);
+    switch (rule.type) {
+      case 'above': return target != null && price >= target;
+      case 'below': return target != null && price <= target;
+      case 'near': return target != null && Math.abs(price / target - 1) * 100 <= rule.value;
+      case 'move': return Math.abs(price / snap.previousClose - 1) * 100 >= rule.value;
+      case 'high52': return snap.high52 != null && price > snap.high52;
+      case 'low52': return snap.low52 != null && price < snap.low52;
+      default: return snap.volume != null && snap.avgVolume > 0 && snap.volume >= rule.value * snap.avgVolume;
+    }
+  }
+
+  // Runs the current symbol's rules; generated prices never trigger alerts
+  function checkAlerts(quote) {
+    if (!STATE.dataSource || STATE.dataSource.synthetic) return;
+    const snap = alertSnapshot(quote);
+    if (!snap) return;
+    const session = toInputDate(snap.session);
+    const fired = STATE.alerts.rules.filter(rule =>
+      rule.symbol === STATE.symbol && rule.lastSession !== session && alertHit(rule, snap));
+    if (!fired.length) return;
+
+    fired.forEach(rule => {
+      rule.lastSession = session;
+      const change = (snap.price / snap.previousClose - 1) * 100;
+      const entry = {
+        ruleId: rule.id,
+        symbol: rule.symbol,
+        session,
+        time: Date.now(),
+        price: snap.price,
+        message: `${describeAlert(rule)} \u2022 $${snap.price.toFixed(2)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`,
+      };
+      STATE.alerts.log.unshift(entry);
+      notifyAlert(entry);
+    });
+    STATE.alerts.log.length = Math.min(STATE.alerts.log.length, ALERT_LOG_LIMIT);
+    saveAlerts();
+    renderAlerts();
+    updateAlertMarkers();
+  }
+
+  function notifyAlert(entry) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+      new Notification('Price alert: ' + entry.symbol, { body: entry.message, tag: `fpa-alert-${entry.ruleId}-${entry.session}` });
+    } catch (e) {
+      // Some browsers only allow notifications from a service worker
+      console.warn('Notification failed:', e.message);
+    }
+  }
+
+  // Permission can only be requested from a user gesture
+  function requestAlertPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    Promise.resolve(Notification.requestPermission()).then(renderAlertPermission, () => {});
+  }
+
+  function renderAlertPermission() {
+    const btn = document.getElementById('alertNotifyBtn');
+    if (!btn) return;
+    const supported = 'Notification' in window;
+    const permission = supported ? Notification.permission : 'denied';
+    btn.disabled = permission !== 'default';
+    btn.textContent = !supported ? 'Notifications unsupported'
+      : permission === 'granted' ? 'Notifications on'
+        : permission === 'denied' ? 'Notifications blocked' : 'Enable notifications';
+  }
+
+  // Log entries for the charted symbol, keyed by session
+  function alertsBySession() {
+    const sessions = new Map();
+    STATE.alerts.log.forEach(entry => {
+      if (entry.symbol !== STATE.symbol) return;
+      if (!sessions.has(entry.session)) sessions.set(entry.session, []);
+      sessions.get(entry.session).push(entry);
+    });
+    return sessions;
+  }
+
+  // Triggered alerts as markers above their session's bar (daily bars only)
+  function buildAlertAnnotations(data) {
+    const annotations = {};
+    if (STATE.interval !== '1d') return annotations;
+    const sessions = alertsBySession();
+    if (!sessions.size) return annotations;
+    data.forEach((bar, i) => {
+      if (!sessions.has(toInputDate(bar.date))) return;
+      annotations['alert' + i] = {
+        type: 'point',
+        xValue: i,
+        yValue: bar.high,
+        pointStyle: 'triangle',
+        rotation: 180,
+        radius: 6,
+        backgroundColor: '#ff9f43',
+        borderColor: '#101820',
+        borderWidth: 1,
+      };
+    });
+    return annotations;
+  }
+
+  function updateAlertMarkers() {
+    if (STATE.stockData) replacePriceAnnotations('alert', buildAlertAnnotations(STATE.stockData));
+  }
+
+  function renderAlerts() {
+    const list = document.getElementById('alertList');
+    if (list) {
+      const { rules } = STATE.alerts;
+      list.innerHTML = rules.length ? rules.map(rule => `
+        <li${rule.symbol === STATE.symbol ? ' class="current"' : ''}>
+          <span>${escapeHtml(describeAlert(rule))}</span>
+          ${rule.lastSession ? `<span class="alert-when">last ${formatDate(new Date(rule.lastSession + 'T00:00'))}</span>` : ''}
+          <button class="peer-remove" type="button" data-remove="${rule.id}" aria-label="Remove alert">&times;</button>
+        </li>`).join('') : '<li class="alert-empty">No alerts set</li>';
+    }
+
+    const log = document.getElementById('alertLog');
+    if (log) {
+      const entries = STATE.alerts.log;
+      log.innerHTML = entries.length ? entries.map(entry => `
+        <li class="fired">
+          <span>${escapeHtml(entry.message)}</span>
+          <span class="alert-when">${formatTimestamp(new Date(entry.time))}</span>
+        </li>`).join('') : '<li class="alert-empty">Nothing triggered yet</li>';
+    }
+  }
+
+  // Shows the value and target inputs the selected type needs
+  function syncAlertForm(form) {
+    const type = ALERT_TYPES[form.elements.type.value];
+    const target = form.elements.target;
+    const value = form.elements.value;
+    target.hidden = !['above', 'below', 'near'].includes(form.elements.type.value);
+    target.querySelector('option[value=""]').disabled = !!type.scenarioOnly;
+    if (type.scenarioOnly && !target.value) target.value = 'base';
+    value.hidden = !type.needsValue || (!type.scenarioOnly && !target.hidden && !!target.value);
+    value.placeholder = {
+      above: 'Price ($)', below: 'Price ($)', near: 'Within %', move: 'Move %', volume: 'Multiple',
+    }[form.elements.type.value] || '';
+  }
+
+  function readAlertForm(form) {
+    const type = form.elements.type.value;
+    const scenario = form.elements.target.hidden ? null : form.elements.target.value || null;
+    const rule = { id: Date.now().toString(36), symbol: STATE.symbol, type, scenario, value: null };
+    if (scenario && STATE.symbol !== 'PLTR') return { error: 'Scenario targets are modelled for PLTR only' };
+    if (scenario && !STATE.valuation) return { error: 'Scenario targets need the fundamentals dataset' };
+    if (!form.elements.value.hidden) {
+      const value = Number(form.elements.value.value);
+      if (!(value > 0)) return { error: 'Enter a positive value' };
+      rule.value = value;
+    }
+    return { rule };
+  }
+
+  function initAlerts() {
+    STATE.alerts = loadAlerts();
+    renderAlerts();
+    renderAlertPermission();
+
+    const form = document.getElementById('alertForm');
+    if (form) {
+      syncAlertForm(form);
+      form.elements.type.addEventListener('change', () => syncAlertForm(form));
+      form.elements.target.addEventListener('change', () => syncAlertForm(form));
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { rule, error } = readAlertForm(form);
+        if (error) {
+          setText('alertStatus', error);
+          return;
+        }
+        STATE.alerts.rules.push(rule);
+        saveAlerts();
+        setText('alertStatus', 'Added: ' + describeAlert(rule));
+        form.elements.value.value = '';
+        renderAlerts();
+        requestAlertPermission();
+        checkAlerts();
+      });
+    }
+
+    const list = document.getElementById('alertList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove]');
+        if (!btn) return;
+        STATE.alerts.rules = STATE.alerts.rules.filter(r => r.id !== btn.dataset.remove);
+        saveAlerts();
+        renderAlerts();
+      });
+    }
+
+    const clear = document.getElementById('alertLogClear');
+    if (clear) {
+      clear.addEventListener('click', () => {
+        STATE.alerts.log = [];
+        saveAlerts();
+        renderAlerts();
+        updateAlertMarkers();
+      });
+    }
+
+    const notify = document.getElementById('alertNotifyBtn');
+    if (notify) notify.addEventListener('click', requestAlertPermission);
+  }
+
+  // ── Events & Timeline ─────────────────────────────────────
+  // data/events.json (checked by Events.validate) drives the Palantir
+  // timeline and the event markers on the price chart. Clicking a timeline
+  // entry zooms the chart to it and reports the move that followed. Without
+  // the dataset the static timeline in index.html stays as it is.
+  const EVENT_COLORS = {
+    earnings: '#00d4ff',
+    listing: '#c9a84c',
+    index: '#c9a84c',
+    product: '#55efc4',
+    company: '#dfe6e9',
+    market: '#ff6b81',
+  };
+
+  async function loadEvents() {
+    try {
+      const res = await fetch(CONFIG.eventsUrl);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const data = await res.json();
+      const errors = Events.validate(data);
+      if (errors.length) throw new Error('invalid dataset: ' + errors.join('; '));
+      STATE.events = data;
+      return true;
+    } catch (e) {
+      console.warn('Events unavailable:', e.message);
+      return false;
+    }
+  }
+
+  function symbolEvents(symbol) {
+    return STATE.events ? Events.forSymbol(STATE.events, symbol) : [];
+  }
+
+  // First session able to react: the event day, or the next session when it
+  // isn't one or the news came after the close
+  function reactionSession(event) {
+    const day = TradingCalendar.nextTradingDay(event.day);
+    const afterClose = event.timing === 'after-close' && day.getTime() === event.day.getTime();
+    return afterClose ? TradingCalendar.addSessions(day, 1) : day;
+  }
+
+  // Bars an event's reaction is measured over: `sessions` bars from the
+  // reaction session, or the sessions of its month or year. index is -1 when
+  // the bars don't cover it.
+  function eventWindow(bars, event, sessions) {
+    const from = reactionSession(event);
+    const to = event.precision === 'day' ? from : Events.lastDay(event);
+    const index = bars.findIndex(b => b.date >= from && b.date <= to);
+    if (index < 0 || event.precision === 'day') return { index, sessions };
+    let end = index;
+    while (end + 1 < bars.length && bars[end + 1].date <= to) end++;
+    return { index, sessions: end - index + 1 };
+  }
+
+  function eventDateLabel(event) {
+    if (event.precision === 'year') return String(event.day.getFullYear());
+    if (event.precision === 'month') return event.day.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    return formatDate(event.day);
+  }
+
+  // Date plus when in the day the news came, for the tooltip and readout
+  function eventWhen(event) {
+    const timing = { 'before-open': ', before the open', 'after-close': ', after the close' }[event.timing] || '';
+    return eventDateLabel(event) + timing;
+  }
+
+  // Day-precision events keyed by the session they land on
+  function eventsBySession(symbol) {
+    const sessions = new Map();
+    symbolEvents(symbol).forEach(event => {
+      if (event.precision !== 'day') return;
+      const key = toInputDate(reactionSession(event));
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(event);
+    });
+    return sessions;
+  }
+
+  // Markers under the bars events land on, plus a band over the focused
+  // event's reaction window (daily bars only)
+  function buildEventAnnotations(data) {
+    const annotations = {};
+    if (STATE.interval !== '1d') return annotations;
+    const sessions = eventsBySession(STATE.symbol);
+    data.forEach((bar, i) => {
+      const events = sessions.get(toInputDate(bar.date));
+      if (!events) return;
+      annotations['event' + i] = {
+        type: 'point',
+        xValue: i,
+        yValue: bar.low,
+        yAdjust: 10,
+        pointStyle: 'rectRot',
+        radius: 5,
+        backgroundColor: EVENT_COLORS[events[0].type],
+        borderColor: '#101820',
+        borderWidth: 1,
+      };
+    });
+
+    const focus = focusedEvent();
+    if (focus) {
+      const { index, sessions: count } = eventWindow(data, focus.event, focus.sessions);
+      if (index >= 0) {
+        annotations.eventFocus = {
+          type: 'box',
+          xMin: index - 0.5,
+          xMax: Math.min(index + count - 1, data.length - 1) + 0.5,
+          backgroundColor: 'rgba(0, 212, 255, 0.08)',
+          borderWidth: 0,
+        };
+      }
+    }
+    return annotations;
+  }
+
+  function updateEventMarkers() {
+    if (STATE.stockData) replacePriceAnnotations('event', buildEventAnnotations(STATE.stockData));
+  }
+
+  // STATE.eventFocus with its event, when it belongs to the charted symbol
+  function focusedEvent() {
+    const focus = STATE.eventFocus;
+    if (!focus || focus.symbol !== STATE.symbol) return null;
+    const event = symbolEvents(focus.symbol).find(e => e.id === focus.id);
+    return event ? Object.assign({ event }, focus) : null;
+  }
+
+  function renderTimeline() {
+    const timeline = document.getElementById('timeline');
+    const events = symbolEvents('PLTR').filter(e => e.timeline);
+    if (!timeline || !events.length) return;
+    timeline.querySelectorAll('.timeline-item').forEach(el => el.remove());
+    timeline.insertAdjacentHTML('beforeend', events.map(event => `
+      <div class="timeline-item animate-on-scroll">
+        <div class="timeline-dot"></div>
+        <div class="timeline-content" role="button" tabindex="0" data-event="${event.id}" title="Show on the price chart">
+          <span class="timeline-year">${eventDateLabel(event)}</span>
+          <h4>${escapeHtml(event.title)}</h4>
+          ${event.summary ? `<p>${escapeHtml(event.summary)}</p>` : ''}
+        </div>
+      </div>`).join(''));
+    observeAnimations(timeline);
+  }
+
+  // Highlights an event on the price chart, switching symbol and interval
+  // first if needed; the zoom and reaction follow once its bars are loaded
+  function focusEvent(symbol, id) {
+    const sessions = STATE.eventFocus ? STATE.eventFocus.sessions : CONFIG.eventReactionSessions;
+    STATE.eventFocus = { symbol, id, sessions, zoom: true };
+    document.querySelectorAll('.timeline-content[data-event]').forEach(el => {
+      el.classList.toggle('active', el.dataset.event === id);
+    });
+    if (symbol !== STATE.symbol) {
+      const select = document.getElementById('symbolSelect');
+      if (select) select.value = symbol;
+      setSymbol(symbol);
+      return;
+    }
+    if (STATE.interval !== '1d') setBarInterval('1d');
+    showEventFocus();
+  }
+
+  function clearEventFocus() {
+    STATE.eventFocus = null;
+    document.querySelectorAll('.timeline-content.active').forEach(el => el.classList.remove('active'));
+    showEventFocus();
+  }
+
+  // Fills the reaction readout and the chart band; zooms to the event the
+  // first time its bars are available
+  function showEventFocus() {
+    const box = document.getElementById('eventReaction');
+    const focus = focusedEvent();
+    const bars = STATE.adjustedBars;
+    if (box) box.hidden = !focus || !bars;
+    updateEventMarkers();
+    if (!focus || !bars) return;
+
+    const { event } = focus;
+    const { index, sessions } = eventWindow(bars, event, focus.sessions);
+    const reaction = index >= 0 ? Analytics.eventReaction(bars, index, sessions) : null;
+    const select = document.getElementById('eventReactionSessions');
+    if (select) {
+      select.value = String(focus.sessions);
+      select.disabled = event.precision !== 'day';
+    }
+
+    let text = `${event.title} \u2022 ${eventWhen(event)} \u2022 `;
+    if (index < 0) {
+      text += 'outside the loaded price history';
+    } else if (!reaction) {
+      text += 'no earlier close to measure the reaction from';
+    } else {
+      const pct = v => (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+      const span = event.precision === 'day'
+        ? `${sessions}-session reaction`
+        : `Over the ${event.precision}`;
+      text += `${span} ${pct(reaction.change)} ($${reaction.base.toFixed(2)} \u2192 $${reaction.close.toFixed(2)}), ` +
+        `range ${pct(reaction.worst)} to ${pct(reaction.best)}`;
+      if (!reaction.complete) text += ` (${reaction.end - reaction.start + 1} sessions so far)`;
+    }
+    setText('eventReactionText', text);
+    if (box) box.className = 'event-reaction' + (reaction ? (reaction.change >= 0 ? ' up' : ' down') : '');
+
+    if (!STATE.eventFocus.zoom || index < 0 || STATE.interval !== '1d') return;
+    STATE.eventFocus.zoom = false;
+    const pad = Math.max(10, sessions);
+    const last = bars.length - 1;
+    STATE.customRange = {
+      from: bars[Math.max(0, index - pad)].date,
+      to: bars[Math.min(last, index + sessions - 1 + pad)].date,
+    };
+    setActiveRangeButton(null);
+    setRange('custom');
+    if (box) box.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function initEvents() {
+    renderTimeline();
+
+    const timeline = document.getElementById('timeline');
+    if (timeline) {
+      const open = target => {
+        const item = target.closest('.timeline-content[data-event]');
+        if (item) focusEvent('PLTR', item.dataset.event);
+      };
+      timeline.addEventListener('click', e => open(e.target));
+      timeline.addEventListener('keydown', e => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        open(e.target);
+      });
+    }
+
+    const sessions = document.getElementById('eventReactionSessions');
+    if (sessions) {
+      sessions.addEventListener('change', () => {
+        if (!STATE.eventFocus) return;
+        STATE.eventFocus.sessions = Number(sessions.value);
+        showEventFocus();
+      });
+    }
+
+    const close = document.getElementById('eventReactionClose');
+    if (close) close.addEventListener('click', clearEventFocus);
+  }
+
+  // ── Earnings Reactions ────────────────────────────────────
+  // Gap, 1/5/20-session moves and volume around every earnings date in
+  // data/events.json that the loaded bars cover, against the revenue surprise
+  // from the fundamentals dataset. Moves read adjusted daily bars and run
+  // from the close before the first session able to react.
+  const EARNINGS_WINDOWS = [1, 5, 20];
+
+  // Newest report first
+  function earningsRows() {
+    const bars = STATE.adjustedBars;
+    if (!bars) return [];
+    const surprises = new Map(STATE.fundamentals
+      ? Fundamentals.revenueSurprises(STATE.fundamentals, STATE.symbol).map(s => [s.period, s])
+      : []);
+    const rows = [];
+    symbolEvents(STATE.symbol).forEach(event => {
+      if (event.type !== 'earnings') return;
+      const { index } = eventWindow(bars, event, 1);
+      const reaction = index >= 0 && Analytics.earningsReaction(bars, index, {
+        windows: EARNINGS_WINDOWS,
+        volumeSessions: CONFIG.avgVolumeSessions,
+      });
+      if (!reaction) return;
+      rows.push({ event, reaction, surprise: (event.period && surprises.get(event.period)) || null });
+    });
+    return rows.reverse();
+  }
+
+  function earningsLabel(event) {
+    return event.period ? event.period.split('-').reverse().join(' ') : event.title;
+  }
+
+  function renderEarningsPanel() {
+    const body = document.getElementById('earningsTableBody');
+    if (!body) return;
+    const rows = earningsRows();
+    const pct = v => (v == null ? '--' : (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%');
+    const tone = v => (v == null ? '' : v >= 0 ? 'up' : 'down');
+    const abs = v => (v == null ? '--' : (v * 100).toFixed(1) + '%');
+    const times = v => (v == null ? '--' : v.toFixed(1) + '\u00d7');
+
+    setText('earningsMeta', rows.length
+      ? `${rows.length} report${rows.length === 1 ? '' : 's'} in the loaded history \u2022 ` +
+        `moves from the close before the reaction session \u2022 volume vs the prior ${CONFIG.avgVolumeSessions} sessions`
+      : `No earnings dates for ${STATE.symbol} in the loaded history`);
+
+    const surpriseCell = s => (s
+      ? `<td class="${tone(s.surprise)}" title="Expected $${s.expected.toFixed(0)}M (${s.basis})">` +
+        pct(s.surprise) + (s.basis === 'trend' ? '*' : '') + '</td>'
+      : '<td>--</td>');
+    body.innerHTML = rows.map(({ event, reaction, surprise }) => `
+      <tr>
+        <td>${earningsLabel(event)}</td>
+        <td>${eventWhen(event)}</td>
+        <td class="${tone(reaction.gap)}">${pct(reaction.gap)}</td>
+        ${EARNINGS_WINDOWS.map(n => `<td class="${tone(reaction.moves[n])}">${pct(reaction.moves[n])}</td>`).join('')}
+        <td>${times(reaction.volumeMultiple)}</td>
+        <td>${surprise ? '$' + surprise.revenue + 'M' : '--'}</td>
+        ${surpriseCell(surprise)}
+      </tr>`).join('');
+
+    // Typical size of the move, for sizing ahead of the next report
+    const meanAbs = values => {
+      const known = values.filter(v => v != null);
+      return known.length ? known.reduce((s, v) => s + Math.abs(v), 0) / known.length : null;
+    };
+    const foot = document.getElementById('earningsTableSummary');
+    if (foot) {
+      foot.innerHTML = rows.length ? `
+        <tr>
+          <td colspan="2">Average absolute move</td>
+          <td>${abs(meanAbs(rows.map(r => r.reaction.gap)))}</td>
+          ${EARNINGS_WINDOWS.map(n => `<td>${abs(meanAbs(rows.map(r => r.reaction.moves[n])))}</td>`).join('')}
+          <td>${times(meanAbs(rows.map(r => r.reaction.volumeMultiple)))}</td>
+          <td></td>
+          <td>${abs(meanAbs(rows.map(r => r.surprise && r.surprise.surprise)))}</td>
+        </tr>` : '';
+    }
+
+    const trend = rows.some(r => r.surprise && r.surprise.basis === 'trend');
+    setText('earningsNote', trend
+      ? '* No consensus estimate in the dataset: surprise is against the prior quarter grown at its recent average sequential rate.'
+      : '');
+    renderEarningsScatter(rows);
+  }
+
+  function renderEarningsScatter(rows) {
+    const sessions = STATE.earningsWindow;
+    const points = rows
+      .filter(r => r.surprise && r.reaction.moves[sessions] != null)
+      .map(r => ({
+        x: r.surprise.surprise * 100,
+        y: r.reaction.moves[sessions] * 100,
+        label: earningsLabel(r.event),
+      }));
+    const colors = points.map(p => (p.y >= 0 ? '#2ed573' : '#ff4757'));
+    const yTitle = `${sessions}-session move (%)`;
+
+    if (STATE.earningsChart) {
+      const chart = STATE.earningsChart;
+      chart.data.datasets[0].data = points;
+      chart.data.datasets[0].backgroundColor = colors;
+      chart.options.scales.y.title.text = yTitle;
+      chart.update('none');
+      return;
+    }
+
+    const canvas = document.getElementById('earningsChart');
+    if (!canvas) return;
+    STATE.earningsChart = new Chart(canvas.getContext('2d'), {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Reports',
+          data: points,
+          backgroundColor: colors,
+          borderColor: '#101820',
+          borderWidth: 1,
+          pointRadius: 6,
+          pointHoverRadius: 8,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: ctx => `${ctx.raw.label}: surprise ${ctx.raw.x.toFixed(1)}%, move ${ctx.raw.y.toFixed(1)}%`,
+            },
+          },
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Revenue surprise (%)' },
+            ticks: { callback: v => v + '%' },
+          },
+          y: {
+            title: { display: true, text: yTitle },
+            ticks: { callback: v => v + '%' },
+          },
+        },
+      },
+    });
+  }
+
+  function initEarningsControls() {
+    const select = document.getElementById('earningsWindow');
+    if (!select) return;
+    select.value = String(STATE.earningsWindow);
+    select.addEventListener('change', () => {
+      STATE.earningsWindow = Number(select.value);
+      renderEarningsScatter(earningsRows());
+    });
+  }
+
+  // ── Paper Portfolio ───────────────────────────────────────
+  // Lots ({ id, symbol, date 'YYYY-MM-DD', quantity, price }) are kept in
+  // localStorage and move between browsers as JSON. Figures cover the charted
+  // symbol's lots at as-traded prices: splits after a purchase scale its
+  // shares, and dividends are left out.
+  function loadPortfolio() {
+    try {
+      const saved = JSON.parse(readStorage(STORAGE_KEYS.portfolio));
+      if (saved && Array.isArray(saved.lots)) return { lots: saved.lots.filter(lot => !lotError(lot)) };
+    } catch (e) {
+      // fall through to an empty portfolio
+    }
+    return { lots: [] };
+  }
+
+  function savePortfolio() {
+    writeStorage(STORAGE_KEYS.portfolio, JSON.stringify(STATE.portfolio));
+  }
+
+  // Why a lot can't be kept, or null
+  function lotError(lot) {
+    if (!lot || typeof lot !== 'object') return 'expected an object';
+    if (typeof lot.symbol !== 'string' || !/^[A-Z0-9.\-^]{1,10}$/.test(lot.symbol)) return 'symbol missing or invalid';
+    if (typeof lot.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(lot.date) || isNaN(Date.parse(lot.date))) {
+      return 'date must be YYYY-MM-DD';
+    }
+    if (lot.date > todayIso()) return 'date is in the future';
+    if (!(typeof lot.quantity === 'number' && lot.quantity > 0)) return 'quantity must be a positive number';
+    if (!(typeof lot.price === 'number' && lot.price > 0)) return 'price must be a positive number';
+    return null;
+  }
+
+  function newLotId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  // The symbol's lots oldest first, with `day` as a session date
+  function symbolLots(symbol) {
+    return STATE.portfolio.lots
+      .filter(lot => lot.symbol === symbol)
+      .map(lot => Object.assign({ day: toSessionDate(lot.date) }, lot))
+      .sort((a, b) => a.day - b.day);
+  }
+
+  // Per-lot and total figures for the charted symbol at the latest close,
+  // or null without bars or lots
+  function portfolioPosition() {
+    const bars = STATE.rawBars;
+    const lots = symbolLots(STATE.symbol);
+    if (!bars || !lots.length) return null;
+    const last = bars.length - 1;
+    const price = bars[last].close;
+    const rows = lots.map(lot => {
+      // Lots newer than the last bar haven't seen a split yet
+      const shares = lot.day > bars[last].date
+        ? lot.quantity
+        : Analytics.positionHistory(bars, [{ date: lot.day, quantity: lot.quantity, price: lot.price }]).shares[last];
+      const cost = lot.quantity * lot.price;
+      const value = shares * price;
+      return { lot, shares, cost, value, pnl: value - cost, return: value / cost - 1 };
+    });
+    const sum = field => rows.reduce((s, r) => s + r[field], 0);
+    const cost = sum('cost');
+    const value = sum('value');
+    return {
+      rows,
+      price,
+      asOf: bars[last].date,
+      shares: sum('shares'),
+      cost,
+      value,
+      pnl: value - cost,
+      return: value / cost - 1,
+    };
+  }
+
+  function renderPortfolio() {
+    const stats = document.getElementById('portfolioStats');
+    const body = document.getElementById('portfolioTableBody');
+    if (!stats || !body) return;
+    const position = portfolioPosition();
+    const money = v => (v < 0 ? '-$' : '$') +
+      Math.abs(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const shares = v => v.toLocaleString('en-US', { maximumFractionDigits: 4 });
+    const signed = v => (v >= 0 ? '+' : '') + money(v);
+    const pct = v => (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+    const tone = v => (v >= 0 ? 'up' : 'down');
+
+    if (!position) {
+      const count = STATE.portfolio.lots.length;
+      setText('portfolioMeta', `No lots for ${STATE.symbol}` + (count ? ` \u2022 ${count} for other symbols` : ''));
+      stats.innerHTML = '';
+      body.innerHTML = '';
+      renderPortfolioChart(null);
+      return;
+    }
+
+    setText('portfolioMeta', `${position.rows.length} lot${position.rows.length === 1 ? '' : 's'} of ${STATE.symbol} ` +
+      `\u2022 valued at the ${formatDate(position.asOf)} close of $${position.price.toFixed(2)} \u2022 dividends not included`);
+
+    const items = [
+      ['Shares', shares(position.shares), '', 'Avg cost ' + money(position.cost / position.shares)],
+      ['Cost Basis', money(position.cost), '', ''],
+      ['Market Value', money(position.value), '', ''],
+      ['Unrealized P&L', signed(position.pnl), tone(position.pnl), ''],
+      ['Return on Cost', pct(position.return), tone(position.return), 'Cost-weighted across lots'],
+    ];
+    if (STATE.symbol === 'PLTR' && STATE.valuation) {
+      const targets = projectValuation();
+      SCENARIOS.forEach(({ key, label }) => {
+        const value = position.shares * targets[key].price;
+        items.push([`At ${label} Target`, money(value), tone(value - position.cost),
+          `$${targets[key].price.toFixed(2)}/share \u2022 ${pct(value / position.cost - 1)} on cost`]);
+      });
+    }
+    stats.innerHTML = items.map(([label, value, cls, sub]) => `
+      <div class="risk-stat">
+        <div class="risk-value ${cls}">${value}</div>
+        <div class="risk-label">${label}</div>
+        ${sub ? `<div class="risk-sub">${sub}</div>` : ''}
+      </div>
+    `).join('');
+
+    body.innerHTML = position.rows.map(r => `
+      <tr>
+        <td>${formatDate(r.lot.day)}</td>
+        <td>${shares(r.lot.quantity)}${r.shares !== r.lot.quantity
+          ? ` <span class="lot-adjusted" title="Split-adjusted shares">(${shares(r.shares)} now)</span>`
+          : ''}</td>
+        <td>${money(r.lot.price)}</td>
+        <td>${money(r.cost)}</td>
+        <td>${money(r.value)}</td>
+        <td class="${tone(r.pnl)}">${signed(r.pnl)}</td>
+        <td class="${tone(r.return)}">${pct(r.return)}</td>
+        <td><button class="peer-remove" type="button" data-remove="${r.lot.id}" aria-label="Remove lot">&times;</button></td>
+      </tr>`).join('');
+
+    renderPortfolioChart(position);
+  }
+
+  // Position value against money invested, from the first purchase on
+  function renderPortfolioChart(position) {
+    const bars = STATE.rawBars;
+    let labels = [];
+    let value = [];
+    let cost = [];
+    if (position) {
+      const lots = position.rows.map(r => ({ date: r.lot.day, quantity: r.lot.quantity, price: r.lot.price }));
+      const history = Analytics.positionHistory(bars, lots);
+      const start = Math.max(0, history.cost.findIndex(c => c > 0));
+      labels = bars.slice(start).map(d => formatDate(d.date));
+      value = history.value.slice(start);
+      cost = history.cost.slice(start);
+    }
+
+    if (STATE.portfolioChart) {
+      const chart = STATE.portfolioChart;
+      chart.data.labels = labels;
+      chart.data.datasets[0].data = value;
+      chart.data.datasets[1].data = cost;
+      chart.update('none');
+      return;
+    }
+
+    const canvas = document.getElementById('portfolioChart');
+    if (!canvas) return;
+    STATE.portfolioChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Market value',
+          data: value,
+          borderColor: '#00d4ff',
+          backgroundColor: 'rgba(0, 212, 255, 0.1)',
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: 'origin',
+          tension: 0.1,
+        }, {
+          label: 'Invested',
+          data: cost,
+          borderColor: '#c9a84c',
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          stepped: true,
+          fill: false,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12 } },
+          tooltip: {
+            callbacks: {
+              label: ctx => `${ctx.dataset.label}: $${ctx.raw.toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
+            },
+          },
+        },
+        scales: {
+          x: { grid: { display: false }, ticks: { maxTicksLimit: 6, maxRotation: 0 } },
+          y: { ticks: { callback: v => '$' + formatNumber(v) } },
+        },
+      },
+    });
+  }
+
+  // Lots keyed by the session they joined on, for the charted symbol
+  function lotsBySession() {
+    const sessions = new Map();
+    symbolLots(STATE.symbol).forEach(lot => {
+      const key = toInputDate(TradingCalendar.nextTradingDay(lot.day));
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(lot);
+    });
+    return sessions;
+  }
+
+  // Purchase markers at each lot's cost, scaled onto the charted basis
+  // (daily bars only)
+  function buildPortfolioAnnotations(data) {
+    const annotations = {};
+    if (STATE.interval !== '1d' || !STATE.rawBars) return annotations;
+    const sessions = lotsBySession();
+    if (!sessions.size) return annotations;
+    data.forEach((bar, i) => {
+      const lots = sessions.get(toInputDate(bar.date));
+      if (!lots) return;
+      const scale = bar.close / STATE.rawBars[i].close;
+      lots.forEach(lot => {
+        annotations['lot' + lot.id] = {
+          type: 'point',
+          xValue: i,
+          yValue: lot.price * scale,
+          pointStyle: 'triangle',
+          radius: 6,
+          backgroundColor: '#2ed573',
+          borderColor: '#101820',
+          borderWidth: 1,
+        };
+      });
+    });
+    return annotations;
+  }
+
+  function updatePortfolioMarkers() {
+    if (STATE.stockData) replacePriceAnnotations('lot', buildPortfolioAnnotations(STATE.stockData));
+  }
+
+  function portfolioChanged() {
+    savePortfolio();
+    renderPortfolio();
+    updatePortfolioMarkers();
+  }
+
+  function exportPortfolio() {
+    const json = JSON.stringify({
+      schemaVersion: 1,
+      exported: new Date().toISOString(),
+      lots: STATE.portfolio.lots,
+    }, null, 2);
+    downloadFile(`paper-portfolio-${todayIso()}.json`, new Blob([json], { type: 'application/json' }));
+  }
+
+  // Adds the lots of an exported file ({ lots } or a bare array); lots
+  // already held (same id) are skipped and invalid ones reported
+  async function importPortfolio(file) {
+    let lots;
+    try {
+      const data = JSON.parse(await file.text());
+      lots = Array.isArray(data) ? data : data && data.lots;
+      if (!Array.isArray(lots)) throw new Error('expected { "lots": [...] }');
+    } catch (e) {
+      setText('portfolioStatus', `Could not import ${file.name}: ${e.message}`);
+      return;
+    }
+
+    const ids = new Set(STATE.portfolio.lots.map(lot => lot.id));
+    const problems = [];
+    let added = 0;
+    lots.forEach((raw, i) => {
+      const lot = raw && typeof raw === 'object' ? {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : newLotId(),
+        symbol: String(raw.symbol || '').toUpperCase(),
+        date: raw.date,
+        quantity: raw.quantity,
+        price: raw.price,
+      } : raw;
+      const error = lotError(lot);
+      if (error) {
+        problems.push(`lot ${i + 1}: ${error}`);
+      } else if (!ids.has(lot.id)) {
+        ids.add(lot.id);
+        STATE.portfolio.lots.push(lot);
+        added++;
+      }
+    });
+    setText('portfolioStatus', `Imported ${added} of ${lots.length} lots from ${file.name}` +
+      (problems.length ? ' \u2022 skipped ' + problems.join('; ') : ''));
+    if (added) portfolioChanged();
+  }
+
+  // Reads the lot form; a blank price takes that session's close
+  function readLotForm(form) {
+    const date = form.elements.date.value;
+    const quantity = Number(form.elements.quantity.value);
+    let price = Number(form.elements.price.value);
+    if (!form.elements.price.value.trim()) {
+      const session = date && toSessionDate(date);
+      const bar = session && (STATE.rawBars || []).find(b => b.date.getTime() === session.getTime());
+      if (!bar) return { error: 'No close loaded for that date; enter the price paid' };
+      price = bar.close;
+    }
+    const lot = { id: newLotId(), symbol: STATE.symbol, date, quantity, price };
+    const error = lotError(lot);
+    return error ? { error: error.charAt(0).toUpperCase() + error.slice(1) } : { lot };
+  }
+
+  function initPortfolio() {
+    STATE.portfolio = loadPortfolio();
+
+    const form = document.getElementById('lotForm');
+    if (form) {
+      form.elements.date.max = todayIso();
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { lot, error } = readLotForm(form);
+        if (error) {
+          setText('portfolioStatus', error);
+          return;
+        }
+        STATE.portfolio.lots.push(lot);
+        form.reset();
+        setText('portfolioStatus', `Added ${lot.quantity} ${lot.symbol} at $${lot.price.toFixed(2)}`);
+        portfolioChanged();
+      });
+    }
+
+    const body = document.getElementById('portfolioTableBody');
+    if (body) {
+      body.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove]');
+        if (!btn) return;
+        STATE.portfolio.lots = STATE.portfolio.lots.filter(lot => lot.id !== btn.dataset.remove);
+        portfolioChanged();
+      });
+    }
+
+    const exportBtn = document.getElementById('portfolioExport');
+    if (exportBtn) exportBtn.addEventListener('click', exportPortfolio);
+
+    const input = document.getElementById('portfolioImport');
+    if (input) {
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) importPortfolio(file);
+      });
+    }
+    renderPortfolio();
+  }
+
+  // ── Strategy Backtest ─────────────────────────────────────
+  // Runs Analytics.backtest over the same adjusted daily bars as the risk
+  // panel, so range buttons, zoom and pan pick the test period. Earlier
+  // history is passed along to warm the indicators up.
+  const BACKTEST_STRATEGIES = {
+    'ma-cross': 'MA crossover',
+    rsi: 'RSI thresholds',
+    'buy-hold': 'Buy and hold',
+    dca: 'Dollar-cost averaging',
+  };
+
+  function backtestStrategy() {
+    const s = STATE.backtest;
+    return {
+      'ma-cross': { type: 'ma-cross', fast: s.fast, slow: s.slow },
+      rsi: { type: 'rsi', period: s.period, buyBelow: s.buyBelow, sellAbove: s.sellAbove },
+      'buy-hold': { type: 'buy-hold' },
+      dca: { type: 'dca', every: s.every },
+    }[s.strategy];
+  }
+
+  function renderBacktest() {
+    const stats = document.getElementById('backtestStats');
+    const body = document.getElementById('backtestTableBody');
+    if (!stats || !body) return;
+    const bars = statsWindowBars();
+    const s = STATE.backtest;
+    let result = null;
+    let problem = STATE.adjustedBars ? 'Select a longer range to backtest' : 'No price data loaded';
+    if (bars.length >= 2) {
+      const view = statsView();
+      try {
+        result = Analytics.backtest(STATE.adjustedBars.slice(0, view.end + 1), backtestStrategy(), {
+          capital: s.capital,
+          commission: s.commission,
+          slippage: s.slippageBps / 10000,
+          start: view.start,
+        });
+      } catch (e) {
+        problem = e.message;
+      }
+    }
+
+    if (!result) {
+      setText('backtestMeta', problem);
+      stats.innerHTML = '';
+      body.innerHTML = '';
+      renderBacktestChart([], [], []);
+      return;
+    }
+
+    setText('backtestMeta', `${formatDate(bars[0].date)} \u2013 ${formatDate(bars[bars.length - 1].date)} ` +
+      `\u2022 ${bars.length} sessions of adjusted daily bars \u2022 signals at a close fill at the next open`);
+
+    const money = v => '$' + v.toLocaleString('en-US', { maximumFractionDigits: 0 });
+    const pct = v => (v == null ? '--' : (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%');
+    const tone = v => (v == null ? '' : v >= 0 ? 'up' : 'down');
+    const run = result.stats;
+    const bench = result.benchmark.stats;
+    const items = [
+      ['Final Equity', money(run.final), tone(run.totalReturn), 'Buy & hold ' + money(bench.final)],
+      ['Total Return', pct(run.totalReturn), tone(run.totalReturn), 'Buy & hold ' + pct(bench.totalReturn)],
+      ['CAGR', pct(run.cagr), tone(run.cagr), 'Buy & hold ' + pct(bench.cagr)],
+      ['Max Drawdown', pct(run.maxDrawdown.depth), 'down', 'Buy & hold ' + pct(bench.maxDrawdown.depth)],
+      ['Win Rate', run.winRate == null ? '--' : (run.winRate * 100).toFixed(0) + '%', '',
+        `${run.closedTrades} closed trade${run.closedTrades === 1 ? '' : 's'}` +
+        (run.trades > run.closedTrades ? `, ${run.trades - run.closedTrades} open` : '')],
+      ['Time Invested', (run.exposure * 100).toFixed(0) + '%', '', 'Costs ' + money(run.costs)],
+    ];
+    stats.innerHTML = items.map(([label, value, cls, sub]) => `
+      <div class="risk-stat">
+        <div class="risk-value ${cls}">${value}</div>
+        <div class="risk-label">${label}</div>
+        ${sub ? `<div class="risk-sub">${sub}</div>` : ''}
+      </div>
+    `).join('');
+
+    body.innerHTML = result.trades.length ? result.trades.map(t => `
+      <tr>
+        <td>${formatDate(t.entryDate)}</td>
+        <td>$${t.entryPrice.toFixed(2)}</td>
+        <td>${t.open ? 'Open' : formatDate(t.exitDate)}</td>
+        <td>$${t.exitPrice.toFixed(2)}${t.open ? '*' : ''}</td>
+        <td>${t.shares.toLocaleString('en-US', { maximumFractionDigits: 2 })}</td>
+        <td class="${tone(t.pnl)}">${t.pnl >= 0 ? '+' : '-'}${money(Math.abs(t.pnl))}</td>
+        <td class="${tone(t.return)}">${pct(t.return)}</td>
+      </tr>`).join('') : '<tr><td colspan="7">No trades in this period</td></tr>';
+    setText('backtestNote', result.trades.some(t => t.open)
+      ? '* Still held at the end of the period: valued at the last close, before exit costs.'
+      : '');
+
+    renderBacktestChart(bars.map(d => formatDate(d.date)), result.equity, result.benchmark.equity);
+  }
+
+  function renderBacktestChart(labels, equity, benchmark) {
+    const name = BACKTEST_STRATEGIES[STATE.backtest.strategy];
+    if (STATE.backtestChart) {
+      const chart = STATE.backtestChart;
+      chart.data.labels = labels;
+      chart.data.datasets[0].label = name;
+      chart.data.datasets[0].data = equity;
+      chart.data.datasets[1].data = benchmark;
+      chart.update('none');
+      return;
+    }
+
+    const canvas = document.getElementById('backtestChart');
+    if (!canvas) return;
+    STATE.backtestChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: name,
+          data: equity,
+          borderColor: '#00d4ff',
+          borderWidth: 1.5,
+          pointRadius: 0,
+          tension: 0.1,
+        }, {
+          label: 'Buy & hold',
+          data: benchmark,
+          borderColor: '#c9a84c',
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          tension: 0.1,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 12 } },
+          tooltip: {
+            callbacks: {
+              label: ctx => `${ctx.dataset.label}: $${ctx.raw.toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
+            },
+          },
+        },
+        scales: {
+          x: { grid: { display: false }, ticks: { maxTicksLimit: 6, maxRotation: 0 } },
+          y: { ticks: { callback: v => '$' + formatNumber(v) } },
+        },
+      },
+    });
+  }
+
+  function syncBacktestParams(form) {
+    form.querySelectorAll('[data-strategy]').forEach(el => {
+      el.hidden = el.dataset.strategy !== STATE.backtest.strategy;
+    });
+  }
+
+  function initBacktestControls() {
+    const form = document.getElementById('backtestControls');
+    if (!form) return;
+    const fields = form.querySelectorAll('[data-param]');
+    fields.forEach(el => { el.value = STATE.backtest[el.dataset.param]; });
+    syncBacktestParams(form);
+
+    const apply = (e) => {
+      e.preventDefault();
+      const next = Object.assign({}, STATE.backtest);
+      let valid = true;
+      fields.forEach(el => {
+        const param = el.dataset.param;
+        if (el.tagName === 'SELECT') {
+          next[param] = el.value;
+          return;
+        }
+        const value = Number(el.value);
+        const ok = el.value !== '' && value >= Number(el.min) && value <= Number(el.max) &&
+          (el.step !== '1' || Number.isInteger(value));
+        el.classList.toggle('invalid', !ok);
+        if (ok) next[param] = value;
+        else valid = false;
+      });
+      STATE.backtest.strategy = next.strategy;
+      syncBacktestParams(form);
+      if (!valid) return;
+      STATE.backtest = next;
+      renderBacktest();
+    };
+    form.addEventListener('submit', apply);
+    form.addEventListener('change', apply);
+  }
+
+  // ── Export & Report ───────────────────────────────────────
+  // Every chart gets a menu for a PNG at a chosen scale and a CSV of the
+  // series it shows: visible datasets over the current x window. The price
+  // chart's CSV carries the bars themselves plus the indicator panels'
+  // series. Panels are rebuilt on each render and add their own menu
+  // (see renderIndicatorPanels). The report is the page printed
+  // through a print stylesheet, stamped with the data source.
+  const EXPORT_SCALES = [1, 2, 4];
+  const EXPORT_BACKGROUND = '#101820';
+
+  function chartFileName(canvas, ext) {
+    return `${STATE.symbol}-${canvas.id.replace(/Chart$/, '')}-${todayIso()}.${ext}`;
+  }
+
+  function toCsv(rows) {
+    const cell = v => {
+      if (v == null) return '';
+      if (typeof v === 'number') return String(Number(v.toFixed(6)));
+      const text = String(v);
+      return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+  }
+
+  // Index range of the x axis when it's windowed (price, volume, panels)
+  function chartWindow(chart, length) {
+    const { min, max } = chart.options.scales.x || {};
+    return {
+      start: typeof min === 'number' ? Math.max(0, Math.ceil(min)) : 0,
+      end: typeof max === 'number' ? Math.min(length - 1, Math.floor(max)) : length - 1,
+    };
+  }
+
+  function visibleDatasets(chart, from = 0) {
+    return chart.data.datasets.filter((ds, i) => i >= from && chart.isDatasetVisible(i));
+  }
+
+  // Bars in the window (Heikin-Ashi values when that's what is drawn) plus
+  // each overlay or comparison line and each indicator panel series
+  function priceChartRows(chart) {
+    const data = STATE.stockData;
+    const { start, end } = chartWindow(chart, data.length);
+    const heikin = !STATE.compare.on && STATE.chartType === 'heikin-ashi';
+    const bars = heikin ? toHeikinAshi(data) : data;
+    const lines = visibleDatasets(chart, STATE.compare.on ? 0 : 1)
+      .concat(...Object.values(STATE.indicatorCharts).map(panel => visibleDatasets(panel)));
+    const prefix = heikin ? 'HA ' : '';
+    const rows = [[
+      'Date', ...['Open', 'High', 'Low', 'Close'].map(f => prefix + f), 'Volume', ...lines.map(ds => ds.label),
+    ]];
+    for (let i = start; i <= end; i++) {
+      const bar = bars[i];
+      rows.push([
+        STATE.interval === '1d' ? toInputDate(bar.date) : bar.date.toISOString(),
+        bar.open, bar.high, bar.low, bar.close, data[i].volume,
+        ...lines.map(ds => ds.data[i]),
+      ]);
+    }
+    return rows;
+  }
+
+  function chartRows(chart) {
+    if (chart === STATE.priceChart) return priceChartRows(chart);
+    const datasets = visibleDatasets(chart);
+    // Scatter points carry their own coordinates
+    if (chart.config.type === 'scatter') {
+      const title = axis => (axis && axis.title && axis.title.text) || null;
+      const rows = [['Series', 'Point', title(chart.options.scales.x) || 'X', title(chart.options.scales.y) || 'Y']];
+      datasets.forEach(ds => ds.data.forEach(p => rows.push([ds.label, p.label, p.x, p.y])));
+      return rows;
+    }
+    const labels = chart.data.labels || [];
+    const { start, end } = chartWindow(chart, labels.length);
+    const rows = [['Label', ...datasets.map(ds => ds.label)]];
+    for (let i = start; i <= end; i++) {
+      rows.push([labels[i], ...datasets.map(ds => {
+        const v = ds.data[i];
+        return v != null && typeof v === 'object' ? v.y : v;
+      })]);
+    }
+    return rows;
+  }
+
+  function exportChartCsv(chart) {
+    const blob = new Blob([toCsv(chartRows(chart))], { type: 'text/csv' });
+    downloadFile(chartFileName(chart.canvas, 'csv'), blob);
+  }
+
+  // Redraws the chart at `scale` device pixels per CSS pixel, copies it onto
+  // the page background and puts the chart back
+  function exportChartPng(chart, scale) {
+    const ratio = chart.options.devicePixelRatio;
+    chart.options.devicePixelRatio = scale;
+    chart.resize();
+    chart.update('none');
+
+    const out = document.createElement('canvas');
+    out.width = chart.canvas.width;
+    out.height = chart.canvas.height;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = EXPORT_BACKGROUND;
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+
+    chart.options.devicePixelRatio = ratio;
+    chart.resize();
+    chart.update('none');
+    out.toBlob(blob => downloadFile(chartFileName(chart.canvas, 'png'), blob), 'image/png');
+  }
+
+  // Placed first in the element that holds the chart's canvas
+  function exportMenuHtml() {
+    return `
+        <details class="export-menu">
+          <summary title="Export this chart">Export</summary>
+          <div class="export-menu-body">
+            <label>Scale
+              <select data-export-scale aria-label="PNG resolution">
+                ${EXPORT_SCALES.map(s => `<option value="${s}"${s === 2 ? ' selected' : ''}>${s}&times;</option>`).join('')}
+              </select>
+            </label>
+            <button class="chart-btn" type="button" data-export="png">PNG</button>
+            <button class="chart-btn" type="button" data-export="csv">CSV</button>
+          </div>
+        </details>`;
+  }
+
+  function initChartExports() {
+    document.querySelectorAll('.chart-wrapper canvas').forEach(canvas => {
+      canvas.parentElement.insertAdjacentHTML('afterbegin', exportMenuHtml());
+    });
+
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-export]');
+      if (!btn) return;
+      const menu = btn.closest('.export-menu');
+      const chart = Chart.getChart(menu.parentElement.querySelector('canvas'));
+      menu.open = false;
+      if (!chart) return;
+      if (btn.dataset.export === 'png') {
+        exportChartPng(chart, Number(menu.querySelector('[data-export-scale]').value));
+      } else {
+        exportChartCsv(chart);
+      }
+    });
+  }
+
+  // Source and as-of dates printed at the top of the report
+  function fillReportStamp() {
+    const stamp = document.getElementById('reportStamp');
+    if (!stamp) return;
+    const source = STATE.dataSource;
+    const parts = [`Generated ${new Date().toLocaleString('en-US')}`];
+    if (STATE.adjustedBars && source) {
+      parts.push(`${STATE.symbol} prices: ${source.label}${source.file ? ' ' + source.file : ''}` +
+        `${source.cached ? ' (cached)' : ''}, last bar ${formatDate(source.lastBar)}` +
+        (source.synthetic ? ' \u2014 synthetic, not market data' : ''));
+      const bars = statsWindowBars();
+      if (bars.length) parts.push(`Charted range ${formatDate(bars[0].date)} \u2013 ${formatDate(bars[bars.length - 1].date)}`);
+    } else {
+      parts.push(`${STATE.symbol} prices: unavailable`);
+    }
+    if (STATE.fundamentals) parts.push('Fundamentals as of ' + formatDate(toSessionDate(STATE.fundamentals.asOf)));
+    if (STATE.events) parts.push('Events as of ' + formatDate(toSessionDate(STATE.events.asOf)));
+    stamp.textContent = parts.join(' \u2022 ');
+  }
+
+  // Charts are sized for the screen; fit them to the page and back
+  function resizeCharts() {
+    Object.values(Chart.instances).forEach(chart => chart.resize());
+  }
+
+  function initReport() {
+    window.addEventListener('beforeprint', () => {
+      fillReportStamp();
+      resizeCharts();
+    });
+    window.addEventListener('afterprint', resizeCharts);
+    const btn = document.getElementById('reportBtn');
+    if (btn) btn.addEventListener('click', () => window.print());
+  }
+
+  // ── Revenue Chart (known quarterly data) ──────────────────
+  function renderRevenueChart() {
+    const ctx = document.getElementById('revenueChart').getContext('2d');
+    if (STATE.revenueChart) STATE.revenueChart.destroy();
+    const gradient = createGradient(ctx, 'rgba(201, 168, 76, 0.3)', 'rgba(201, 168, 76, 0.0)');
+
+    const quarters = pltrQuarters();
+    const labels = quarters.map(q => q.label);
+    const revenue = quarters.map(q => q.revenue);
+    const yoyGrowth = quarters.map(q => q.yoyGrowth);
+
+    STATE.revenueChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Revenue ($M)',
+            data: revenue,
+            backgroundColor: gradient,
+            borderColor: '#c9a84c',
+            borderWidth: 1,
+            borderRadius: 6,
+            borderSkipped: false,
+            yAxisID: 'y',
+          },
+          {
+            label: 'YoY Growth (%)',
+            data: yoyGrowth,
+            type: 'line',
+            borderColor: '#00d4ff',
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 3,
+            pointBackgroundColor: '#00d4ff',
+            tension: 0.4,
+            yAxisID: 'y1',
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: {
+            ticks: { maxRotation: 0 },
+            grid: { display: false },
+          },
+          y: {
+            position: 'left',
+            ticks: { callback: v => '$' + v + 'M' },
+          },
+          y1: {
+            position: 'right',
+            ticks: { callback: v => v + '%' },
+            grid: { drawOnChartArea: false },
+          },
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: function (ctx) {
+                if (ctx.datasetIndex === 0) return 'Revenue: $' + ctx.raw + 'M';
+                return 'YoY Growth: ' + ctx.raw + '%';
+              },
+              footer: items => 'Source: ' + sourceTitle(quarters[items[0].dataIndex].source),
+            },
+          },
+        },
+      },
+    });
+  }
+
+  // ── Profitability Chart ───────────────────────────────────
+  function renderProfitChart() {
+    const ctx = document.getElementById('profitChart').getContext('2d');
+    if (STATE.profitChart) STATE.profitChart.destroy();
+
+    const quarters = pltrQuarters();
+    const labels = quarters.map(q => q.label);
+    const gaapNetIncome = quarters.map(q => q.gaapNetIncome);
+    const fcf = quarters.map(q => q.fcf);
+
+    STATE.profitChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'GAAP Net Income ($M)',
+            data: gaapNetIncome,
+            borderColor: '#00d4ff',
+            backgroundColor: 'rgba(0, 212, 255, 0.1)',
+            borderWidth: 2,
+            pointRadius: 4,
+            pointBackgroundColor: gaapNetIncome.map(v => (v == null || v >= 0 ? '#2ed573' : '#ff4757')),
+            tension: 0.4,
+            fill: true,
+          },
+          {
+            label: 'Free Cash Flow ($M)',
+            data: fcf,
+            borderColor: '#2ed573',
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 3,
+            pointBackgroundColor: '#2ed573',
+            tension: 0.4,
+            borderDash: [4, 2],
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: {
+            ticks: { maxRotation: 0 },
+            grid: { display: false },
+          },
+          y: {
+            ticks: { callback: v => '$' + v + 'M' },
+          },
+        },
+        plugins: {
+          annotation: {
+            annotations: {
+              zeroLine: {
+                type: 'line',
+                yMin: 0,
+                yMax: 0,
+                borderColor: 'rgba(255,255,255,0.15)',
+                borderWidth: 1,
+                borderDash: [4, 4],
+              },
+            },
+          },
+          tooltip: {
+            callbacks: {
+              label: ctx => ctx.dataset.label + ': $' + ctx.raw + 'M',
+              footer: items => 'Source: ' + sourceTitle(quarters[items[0].dataIndex].source),
+            },
+          },
+        },
+      },
+    });
+  }
+
+  // ── Revenue Segment Chart ─────────────────────────────────
+  function renderSegmentChart() {
+    const ctx = document.getElementById('segmentChart').getContext('2d');
+    if (STATE.segmentChart) STATE.segmentChart.destroy();
+
+    const segments = ((STATE.fundamentals.segments || {}).PLTR || []).slice().sort((a, b) => a.year - b.year);
+    const labels = segments.map(s => String(s.year));
+    const govRevenue = segments.map(s => s.government);
+    const comRevenue = segments.map(s => s.commercial);
+
+    STATE.segmentChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Government',
+            data: govRevenue,
+            backgroundColor: 'rgba(0, 212, 255, 0.7)',
+            borderRadius: 4,
+            borderSkipped: false,
+          },
+          {
+            label: 'Commercial',
+            data: comRevenue,
+            backgroundColor: 'rgba(201, 168, 76, 0.7)',
+            borderRadius: 4,
+            borderSkipped: false,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            stacked: true,
+            grid: { display: false },
+          },
+          y: {
+            stacked: true,
+            ticks: { callback: v => '$' + v + 'M' },
+          },
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: ctx => ctx.dataset.label + ': $' + ctx.raw + 'M',
+              footer: items => 'Source: ' + sourceTitle(segments[items[0].dataIndex].source),
+            },
+          },
+        },
+      },
+    });
+  }
+
+  // ── SEC Filing Import ─────────────────────────────────────
+  // Local companyfacts JSON / XBRL instance files parsed by SecImport,
+  // reviewed in the panel, then merged into the PLTR fundamentals.
+  function todayIso() {
+    return toInputDate(new Date());
+  }
+
+  async function parseSecFiles(files) {
+    const parsed = [];
+    const failures = [];
+    const names = [];
+    for (const file of files) {
+      try {
+        parsed.push(SecImport.parseFile(file.name, await file.text()));
+        names.push(file.name);
+      } catch (e) {
+        failures.push({ type: 'file', message: e.message });
+      }
+    }
+    const result = SecImport.buildDataset(parsed);
+    result.issues = failures.concat(result.issues);
+    result.files = names;
+
+    const name = companyInfo('PLTR').name;
+    if (result.entity && !result.entity.toLowerCase().includes(name.toLowerCase())) {
+      result.issues.unshift({ type: 'entity', message: `Files are for ${result.entity}, not ${name}` });
+    }
+
+    // Figures that differ from what the charts show now
+    const current = new Map(pltrQuarters().map(q => [q.period, q]));
+    const fields = [['revenue', 'revenue'], ['gaapNetIncome', 'net income'], ['fcf', 'free cash flow']];
+    result.quarters.forEach(q => {
+      const existing = current.get(q.period);
+      if (!existing) return;
+      fields.forEach(([field, label]) => {
+        if (q[field] != null && existing[field] != null && Math.abs(q[field] - existing[field]) >= 1) {
+          result.issues.push({
+            type: 'revised',
+            message: `${q.period} ${label}: $${existing[field]}M in the current data, $${q[field]}M in the filings`,
+          });
+        }
+      });
+    });
+    return result;
+  }
+
+  function renderSecImport() {
+    const pending = STATE.secImport;
+    const issues = document.getElementById('secImportIssues');
+    const apply = document.getElementById('secImportApply');
+    if (!issues || !apply) return;
+    apply.disabled = !pending || !(pending.result.quarters.length || pending.result.segments.length);
+    if (!pending) {
+      issues.innerHTML = '';
+      return;
+    }
+
+    const { result } = pending;
+    const files = result.files;
+    const known = new Set(pltrQuarters().map(q => q.period));
+    const added = result.quarters.filter(q => !known.has(q.period)).length;
+    const periods = result.quarters.map(q => q.period);
+    setText('secImportSummary', result.quarters.length || result.segments.length
+      ? `${files.length} file${files.length === 1 ? '' : 's'}: ${periods.length} quarters` +
+        (periods.length ? ` (${periods[0]} to ${periods[periods.length - 1]}), ${added} new` : '') +
+        `, ${result.segments.length} years of segment revenue`
+      : 'No revenue found in ' + (pending.files.join(', ') || 'the selected files'));
+    issues.innerHTML = result.issues.map(issue =>
+      `<li class="issue-${issue.type}">${escapeHtml(issue.message)}</li>`).join('');
+  }
+
+  // Imported records replace the same periods; reported YoY growth is kept
+  // only while the revenue it was quoted on is unchanged
+  function applySecImport() {
+    const { result } = STATE.secImport;
+    const files = result.files;
+    const data = JSON.parse(JSON.stringify(STATE.fundamentals));
+    const sourceId = 'sec-import-' + todayIso();
+    data.sources[sourceId] = { title: 'SEC EDGAR import: ' + files.join(', '), date: todayIso() };
+
+    const quarterly = new Map((data.quarterly.PLTR || []).map(q => [q.period, q]));
+    result.quarters.forEach(q => {
+      const existing = quarterly.get(q.period) || {};
+      const record = Object.assign({}, existing, q, { source: sourceId });
+      if (existing.revenue !== q.revenue) delete record.yoyGrowth;
+      quarterly.set(q.period, record);
+    });
+    data.quarterly.PLTR = [...quarterly.values()].sort((a, b) => (a.period < b.period ? -1 : 1));
+
+    data.segments = data.segments || {};
+    const segments = new Map((data.segments.PLTR || []).map(seg => [seg.year, seg]));
+    result.segments.forEach(seg => segments.set(seg.year, Object.assign({}, seg, { source: sourceId })));
+    data.segments.PLTR = [...segments.values()].sort((a, b) => a.year - b.year);
+    data.asOf = todayIso();
+
+    const errors = Fundamentals.validate(data);
+    if (errors.length) {
+      setText('secImportSummary', 'Import rejected: ' + errors.join('; '));
+      return;
+    }
+    STATE.fundamentals = data;
+    STATE.secImport = null;
+    refreshFundamentals();
+    renderSecImport();
+    setText('secImportSummary', `Imported ${result.quarters.length} quarters and ` +
+      `${result.segments.length} years of segment revenue from ${files.join(', ')}`);
+  }
+
+  // Redraws everything that reads the fundamentals dataset
+  function refreshFundamentals() {
+    updateFundamentalsText();
+    renderRevenueChart();
+    renderProfitChart();
+    renderSegmentChart();
+    renderValuationInputs();
+    updateValuationOutputs();
+    renderPeerTable();
+    renderEarningsPanel();
+    if (STATE.adjustedBars) updateTickerDisplay(null, STATE.adjustedBars);
+  }
+
+  function initSecImport() {
+    const input = document.getElementById('secImportFiles');
+    if (input) {
+      input.addEventListener('change', async () => {
+        const files = [...input.files];
+        input.value = '';
+        if (!files.length) return;
+        setText('secImportSummary', 'Reading ' + files.map(f => f.name).join(', ') + '...');
+        STATE.secImport = { result: await parseSecFiles(files), files: files.map(f => f.name) };
+        renderSecImport();
+      });
+    }
+
+    const apply = document.getElementById('secImportApply');
+    if (apply) apply.addEventListener('click', () => STATE.secImport && applySecImport());
+
+    const revert = document.getElementById('secImportRevert');
+    if (revert) {
+      revert.addEventListener('click', async () => {
+        STATE.secImport = null;
+        renderSecImport();
+        if (await loadFundamentals()) {
+          refreshFundamentals();
+          setText('secImportSummary', 'Reloaded ' + CONFIG.fundamentalsUrl);
+        }
+      });
+    }
+  }
+
+  // ── Peer Comparison ───────────────────────────────────────
+  // Table rows come from the fundamentals dataset plus any peers added in
+  // the page. Market cap and P/S are priced off the latest fetched close.
+  function defaultPeers() {
+    return Object.keys(STATE.fundamentals.companies);
+  }
+
+  // [key, formatter] in column order; 'relative' metrics compare as a ratio
+  // to the peer median, the rest as a percentage-point gap
+  const PEER_METRICS = [
+    ['marketCap', v => formatCurrency(v), 'relative'],
+    ['revenueGrowth', v => Math.round(v * 100) + '%'],
+    ['grossMargin', v => Math.round(v * 100) + '%'],
+    ['ps', v => v.toFixed(1) + 'x', 'relative'],
+    ['fcfMargin', v => Math.round(v * 100) + '%'],
+  ];
+
+  function loadPeers() {
+    try {
+      const saved = JSON.parse(readStorage(STORAGE_KEYS.peers));
+      if (saved && Array.isArray(saved.symbols)) {
+        const custom = saved.custom || {};
+        const symbols = saved.symbols.filter(s => companyInfo(s) || custom[s]);
+        if (!symbols.includes('PLTR')) symbols.unshift('PLTR');
+        return { symbols, custom };
+      }
+    } catch (e) {
+      // fall through to the defaults
+    }
+    return { symbols: defaultPeers(), custom: {} };
+  }
+
+  function savePeers() {
+    writeStorage(STORAGE_KEYS.peers, JSON.stringify(STATE.peers));
+  }
+
+  // Latest close for a peer: the loaded series if it is the active symbol,
+  // otherwise whatever comparison mode or the peer loader fetched
+  function peerQuote(symbol) {
+    if (symbol === STATE.symbol) {
+      // While a symbol loads, stockData still holds the previous one's bars
+      if (!STATE.dataSource || !STATE.stockData) return null;
+      return { close: STATE.stockData[STATE.stockData.length - 1].close, synthetic: STATE.dataSource.synthetic };
+    }
+    const entry = STATE.compareData[symbol];
+    if (!entry) return null;
+    return { close: entry.bars[entry.bars.length - 1].close, synthetic: entry.synthetic };
+  }
+
+  function peerRow(symbol) {
+    const info = companyInfo(symbol) || STATE.peers.custom[symbol];
+    const quote = peerQuote(symbol);
+    const marketCap = quote ? quote.close * info.sharesOutstanding : null;
+    return {
+      symbol,
+      name: info.name,
+      marketCap,
+      ps: marketCap != null ? marketCap / info.revenue : null,
+      revenueGrowth: info.revenueGrowth != null ? info.revenueGrowth : null,
+      grossMargin: info.grossMargin != null ? info.grossMargin : null,
+      fcfMargin: info.fcfMargin != null ? info.fcfMargin : null,
+      source: info.source ? sourceTitle(info.source) : 'Added in this browser',
+      synthetic: !!(quote && quote.synthetic),
+      priced: !!quote,
+    };
+  }
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function mean(values) {
+    return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+  }
+
+  // Nulls sort last in either direction
+  function sortPeerRows(rows) {
+    const { key, dir } = STATE.peerSort;
+    if (!key) return rows;
+    return rows.slice().sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      if (x == null || y == null) return (x == null) - (y == null);
+      return (typeof x === 'string' ? x.localeCompare(y) : x - y) * dir;
+    });
+  }
+
+  function peerPremium(value, base, relative) {
+    if (value == null || base == null) return { text: '--', cls: '' };
+    const diff = relative ? (value / base - 1) * 100 : (value - base) * 100;
+    const text = (diff >= 0 ? '+' : '') + diff.toFixed(relative ? 0 : 1) + (relative ? '%' : ' pts');
+    return { text, cls: diff >= 0 ? 'up' : 'down' };
+  }
+
+  function renderPeerTable() {
+    const body = document.getElementById('peerTableBody');
+    const foot = document.getElementById('peerTableSummary');
+    if (!body || !STATE.peers) return;
+
+    const rows = STATE.peers.symbols.map(peerRow);
+    body.innerHTML = sortPeerRows(rows).map(row => `
+      <tr${row.symbol === 'PLTR' ? ' class="highlight-row"' : ''}>
+        <td title="${escapeHtml(row.source)}">${row.symbol === 'PLTR' ? `<strong>${escapeHtml(row.name)}</strong>` : escapeHtml(row.name)}</td>
+        <td class="ticker-cell">${escapeHtml(row.symbol)}</td>
+        ${PEER_METRICS.map(([key, format]) => {
+          const v = row[key];
+          const note = (key === 'marketCap' || key === 'ps') && !row.priced ? ' title="No price data"'
+            : (key === 'marketCap' || key === 'ps') && row.synthetic ? ' title="Synthetic price" class="synthetic"' : '';
+          return `<td${note}>${v != null ? format(v) : '--'}</td>`;
+        }).join('')}
+        <td>${row.symbol === 'PLTR' ? '' : `<button class="peer-remove" type="button" data-remove="${escapeHtml(row.symbol)}" aria-label="Remove ${escapeHtml(row.symbol)}">&times;</button>`}</td>
+      </tr>
+    `).join('');
+
+    // Summaries describe the peer group, so PLTR is left out of them
+    const peers = rows.filter(row => row.symbol !== 'PLTR');
+    const pltr = rows.find(row => row.symbol === 'PLTR');
+    const stats = {};
+    PEER_METRICS.forEach(([key]) => {
+      const values = peers.map(row => row[key]).filter(v => v != null);
+      stats[key] = { median: median(values), mean: mean(values) };
+    });
+    const summaryRow = (label, stat) => `
+      <tr>
+        <td colspan="2">${label}</td>
+        ${PEER_METRICS.map(([key, format]) => {
+          const v = stats[key][stat];
+          return `<td>${v != null ? format(v) : '--'}</td>`;
+        }).join('')}
+        <td></td>
+      </tr>`;
+    foot.innerHTML = summaryRow('Peer median', 'median') + summaryRow('Peer mean', 'mean') + `
+      <tr class="peer-premium">
+        <td colspan="2">PLTR vs median</td>
+        ${PEER_METRICS.map(([key, , relative]) => {
+          const { text, cls } = peerPremium(pltr[key], stats[key].median, relative);
+          return `<td class="${cls}">${text}</td>`;
+        }).join('')}
+        <td></td>
+      </tr>`;
+
+    const missing = STATE.peers.symbols.filter(symbol => STATE.compareData[symbol] === null);
+    setText('peerStatus', missing.length ? 'No price data for ' + missing.join(', ') : '');
+
+    document.querySelectorAll('#peerTable th[data-sort]').forEach(th => {
+      const sorted = th.dataset.sort === STATE.peerSort.key;
+      th.setAttribute('aria-sort', sorted ? (STATE.peerSort.dir > 0 ? 'ascending' : 'descending') : 'none');
+    });
+  }
+
+  // Fetches closes for peers that have none yet, then redraws
+  async function loadPeerPrices() {
+    if (!STATE.peers) return;
+    const wanted = STATE.peers.symbols
+      .filter(symbol => symbol !== STATE.symbol && !(symbol in STATE.compareData));
+    if (!wanted.length) return;
+    setText('peerStatus', 'Loading prices for ' + wanted.join(', ') + '...');
+    await Promise.all(wanted.map(loadComparisonBars));
+    renderPeerTable();
+  }
+
+  // Reads the add-peer form; symbols in the dataset only need the ticker
+  function readPeerForm(form) {
+    const field = name => form.elements[name].value.trim();
+    const symbol = field('symbol').toUpperCase();
+    if (!/^[A-Z][A-Z0-9.-]{0,9}$/.test(symbol)) return { error: 'Enter a valid ticker' };
+    if (STATE.peers.symbols.includes(symbol)) return { error: symbol + ' is already in the table' };
+    if (companyInfo(symbol)) return { symbol };
+
+    const number = name => (field(name) === '' ? null : Number(field(name)));
+    const info = {
+      name: field('name'),
+      sharesOutstanding: number('shares') * 1e9,
+      revenue: number('revenue') * 1e9,
+    };
+    if (!info.name) return { error: 'Enter a company name' };
+    if (!(info.sharesOutstanding > 0) || !(info.revenue > 0)) {
+      return { error: 'Shares and revenue must be positive' };
+    }
+    for (const name of ['revenueGrowth', 'grossMargin', 'fcfMargin']) {
+      const v = number(name);
+      if (v != null && !Number.isFinite(v)) return { error: 'Percentages must be numbers' };
+      info[name] = v != null ? v / 100 : null;
+    }
+    return { symbol, info };
+  }
+
+  function initPeerTable() {
+    STATE.peers = loadPeers();
+    renderPeerTable();
+
+    const table = document.getElementById('peerTable');
+    if (table) {
+      table.addEventListener('click', (e) => {
+        const remove = e.target.closest('[data-remove]');
+        if (remove) {
+          const symbol = remove.dataset.remove;
+          STATE.peers.symbols = STATE.peers.symbols.filter(s => s !== symbol);
+          delete STATE.peers.custom[symbol];
+          savePeers();
+          renderPeerTable();
+          return;
+        }
+        const th = e.target.closest('th[data-sort]');
+        if (!th) return;
+        const key = th.dataset.sort;
+        STATE.peerSort = STATE.peerSort.key === key
+          ? { key, dir: -STATE.peerSort.dir }
+          : { key, dir: key === 'name' || key === 'symbol' ? 1 : -1 };
+        renderPeerTable();
+      });
+    }
+
+    const form = document.getElementById('peerForm');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { symbol, info, error } = readPeerForm(form);
+        if (error) {
+          setText('peerStatus', error);
+          return;
+        }
+        STATE.peers.symbols.push(symbol);
+        if (info) STATE.peers.custom[symbol] = info;
+        savePeers();
+        form.reset();
+        renderPeerTable();
+        loadPeerPrices();
+      });
+    }
+
+    const reset = document.getElementById('peerReset');
+    if (reset) {
+      reset.addEventListener('click', () => {
+        STATE.peers = { symbols: defaultPeers(), custom: {} };
+        savePeers();
+        renderPeerTable();
+        loadPeerPrices();
+      });
+    }
+  }
+
+  // ── Valuation Model ───────────────────────────────────────
+  // Per-scenario inputs behind the Bear/Base/Bull targets. Percentages are
+  // stored as entered (25 = 25%); shares are in billions. Projections start
+  // from the latest fiscal year in the fundamentals dataset.
+  const VALUATION_DEFAULTS = {
+    bear: { cagr: 14, multiple: 50, shares: 2.36, dilution: 2, targetYear: 2027 },
+    base: { cagr: 25, multiple: 56, shares: 2.36, dilution: 2, targetYear: 2027 },
+    bull: { cagr: 30, multiple: 67.5, shares: 2.36, dilution: 2, targetYear: 2027 },
+  };
+
+  const SCENARIOS = [
+    { key: 'bear', label: 'Bear', line: 'rgba(255, 71, 87, 0.7)', point: '#ff4757' },
+    { key: 'base', label: 'Base', line: '#c9a84c', point: '#c9a84c' },
+    { key: 'bull', label: 'Bull', line: 'rgba(46, 213, 115, 0.7)', point: '#2ed573' },
+  ];
+
+  // [field, min, max, step]
+  function valuationFields() {
+    const baseYear = latestFiscalYear().year;
+    return [
+      ['cagr', -50, 200, 1],
+      ['multiple', 0.1, 500, 0.5],
+      ['shares', 0.01, 100, 0.01],
+      ['dilution', -20, 50, 0.5],
+      ['targetYear', baseYear + 1, baseYear + 10, 1],
+    ];
+  }
+
+  // Defaults overlaid with any inputs saved from a previous visit
+  function valuationModel(saved = {}) {
+    const model = {};
+    SCENARIOS.forEach(({ key }) => {
+      model[key] = Object.assign({}, VALUATION_DEFAULTS[key], saved[key]);
+    });
+    return model;
+  }
+
+  function loadValuationModel() {
+    try {
+      return valuationModel(JSON.parse(readStorage(STORAGE_KEYS.valuation)) || {});
+    } catch (e) {
+      return valuationModel();
+    }
+  }
+
+  // { bear, base, bull } projections; paths share one year axis for the chart
+  function projectValuation() {
+    const model = STATE.valuation;
+    const base = latestFiscalYear();
+    const endYear = Math.max(...SCENARIOS.map(({ key }) => model[key].targetYear)) + 1;
+    const results = {};
+    SCENARIOS.forEach(({ key }) => {
+      const m = model[key];
+      results[key] = Analytics.projectScenario({
+        baseRevenue: base.revenue * 1e6,
+        baseYear: base.year,
+        cagr: m.cagr / 100,
+        multiple: m.multiple,
+        shares: m.shares * 1e9,
+        dilution: m.dilution / 100,
+        targetYear: m.targetYear,
+        endYear,
+      });
+    });
+    return results;
+  }
+
+  // The base-case price drives the PLTR target line and headline figures
+  function getPriceTarget() {
+    if (STATE.symbol !== 'PLTR' || !STATE.valuation) return null;
+    return projectValuation().base.price;
+  }
+
+  function renderValuationInputs() {
+    const body = document.getElementById('valuationInputs');
+    if (!body) return;
+    body.innerHTML = SCENARIOS.map(({ key, label }) => `
+      <tr${key === 'base' ? ' class="highlight-row"' : ''}>
+        <td>${label}</td>
+        ${valuationFields().map(([field, min, max, step]) => `
+          <td><input type="number" data-scenario="${key}" data-field="${field}"
+            min="${min}" max="${max}" step="${step}" value="${STATE.valuation[key][field]}"></td>
+        `).join('')}
+      </tr>
+    `).join('');
+  }
+
+  function initValuationModel() {
+    STATE.valuation = loadValuationModel();
+    renderValuationInputs();
+
+    const body = document.getElementById('valuationInputs');
+    if (body) {
+      body.addEventListener('input', (e) => {
+        const input = e.target;
+        const spec = valuationFields().find(([field]) => field === input.dataset.field);
+        if (!spec) return;
+        const [field, min, max] = spec;
+        const value = Number(input.value);
+        const valid = input.value !== '' && Number.isFinite(value) && value >= min && value <= max
+          && (field !== 'targetYear' || Number.isInteger(value));
+        input.classList.toggle('invalid', !valid);
+        if (!valid) return;
+
+        STATE.valuation[input.dataset.scenario][field] = value;
+        writeStorage(STORAGE_KEYS.valuation, JSON.stringify(STATE.valuation));
+        updateValuationOutputs();
+      });
+    }
+
+    const reset = document.getElementById('valuationReset');
+    if (reset) {
+      reset.addEventListener('click', () => {
+        STATE.valuation = valuationModel();
+        writeStorage(STORAGE_KEYS.valuation, JSON.stringify(STATE.valuation));
+        renderValuationInputs();
+        updateValuationOutputs();
+      });
+    }
+  }
+
+  function formatBillions(value) {
+    return '$' + (value / 1e9).toFixed(1) + 'B';
+  }
+
+  // Pushes the model into the cards, headline copy, target chart and price chart
+  function updateValuationOutputs() {
+    if (!STATE.valuation) return;
+    const results = projectValuation();
+    const model = STATE.valuation;
+    const latest = latestPltrClose();
+
+    SCENARIOS.forEach(({ key }) => {
+      const card = document.querySelector(`.valuation-card[data-scenario="${key}"]`);
+      if (!card) return;
+      const r = results[key];
+      const m = model[key];
+      card.querySelector('.val-price').textContent = '$' + Math.round(r.price);
+
+      const upside = card.querySelector('.val-upside');
+      if (latest) {
+        const pct = (r.price / latest - 1) * 100;
+        upside.textContent = (pct >= 0 ? '+' : '') + pct.toFixed(1) + '% vs $' + latest.toFixed(2);
+        upside.className = 'val-upside ' + (pct >= 0 ? 'up' : 'down');
+      } else {
+        upside.textContent = STATE.symbol === 'PLTR' ? 'No live PLTR price' : 'Select PLTR for upside';
+        upside.className = 'val-upside';
+      }
+
+      card.querySelector('.val-assumptions').textContent =
+        `${m.cagr}% CAGR \u2192 ${formatBillions(r.targetRevenue)} ${m.targetYear}E revenue ` +
+        `\u00d7 ${m.multiple}x P/S \u00f7 ${(r.dilutedShares / 1e9).toFixed(2)}B shares`;
+    });
+
+    const base = results.base;
+    const fields = {
+      baseTarget: '$' + Math.round(base.price),
+      baseMultiple: model.base.multiple + 'x',
+      baseRevenue: formatBillions(base.targetRevenue),
+      baseTargetYear: String(model.base.targetYear),
+      baseYear: String(latestFiscalYear().year),
+    };
+    document.querySelectorAll('[data-model]').forEach(el => {
+      if (el.dataset.model in fields) el.textContent = fields[el.dataset.model];
+    });
+
+    updateTargetChart(results);
+    updatePriceTargetLine();
+    renderAlerts(); // scenario targets in the rule list follow the model
+    renderPortfolio();
+    updateDcf();
+    scheduleSimulation();
+  }
+
+  // Live PLTR price, or null while another symbol is loaded
+  function latestPltrClose() {
+    if (STATE.symbol !== 'PLTR' || !STATE.dataSource || !STATE.stockData) return null;
+    return STATE.stockData[STATE.stockData.length - 1].close;
+  }
+
+  // ── DCF Cross-Check ───────────────────────────────────────
+  // Cash-flow valuation starting from trailing-twelve-month FCF. Percentages
+  // are stored as entered; net cash and shares are in billions. fcf, margin
+  // and growth are null when the dataset can't supply them.
+  function trailingFinancials() {
+    const ttm = Fundamentals.trailingYear(STATE.fundamentals, 'PLTR');
+    const quarters = ttm.quarters;
+    return {
+      revenue: ttm.revenue * 1e6,
+      fcf: ttm.fcf == null ? null : ttm.fcf * 1e6,
+      margin: ttm.fcf == null ? null : ttm.fcf / ttm.revenue,
+      growth: ttm.growth,
+      period: quarters[0].label + '\u2013' + quarters[quarters.length - 1].label,
+    };
+  }
+
+  function dcfDefaults() {
+    const { margin } = trailingFinancials();
+    const pltr = companyInfo('PLTR');
+    return {
+      growth: 25,
+      years: 10,
+      startMargin: margin == null ? 0 : +(margin * 100).toFixed(1),
+      endMargin: 45,
+      wacc: 10,
+      terminalGrowth: 3,
+      netCash: pltr.netCash == null ? 0 : +(pltr.netCash / 1e9).toFixed(2),
+      shares: pltr.sharesOutstanding / 1e9,
+      price: null,           // reverse mode only; null solves for the live price
+    };
+  }
+
+  // [field, label, min, max, step]
+  const DCF_FIELDS = [
+    ['growth', 'Revenue growth (%/yr)', -50, 200, 0.5],
+    ['years', 'Forecast years', 3, 20, 1],
+    ['startMargin', 'FCF margin, TTM (%)', -50, 90, 0.5],
+    ['endMargin', 'FCF margin, final year (%)', -50, 90, 0.5],
+    ['wacc', 'WACC (%)', 1, 30, 0.25],
+    ['terminalGrowth', 'Terminal growth (%)', -5, 10, 0.25],
+    ['netCash', 'Net cash ($B)', -100, 1000, 0.01],
+    ['shares', 'Diluted shares (B)', 0.01, 100, 0.01],
+    ['price', 'Price to solve for ($)', 0.01, 100000, 0.01],
+  ];
+
+  function loadDcfModel() {
+    let saved = {};
+    try {
+      saved = JSON.parse(readStorage(STORAGE_KEYS.dcf)) || {};
+    } catch (e) {
+      saved = {};
+    }
+    return {
+      mode: saved.mode === 'reverse' ? 'reverse' : 'forward',
+      inputs: Object.assign(dcfDefaults(), saved.inputs),
+    };
+  }
+
+  function saveDcfModel() {
+    writeStorage(STORAGE_KEYS.dcf, JSON.stringify(STATE.dcf));
+  }
+
+  // Model inputs as fractions and absolute amounts for Analytics.dcf()
+  function dcfParams(overrides = {}) {
+    const m = Object.assign({}, STATE.dcf.inputs, overrides);
+    return {
+      baseRevenue: trailingFinancials().revenue,
+      growth: m.growth / 100,
+      startMargin: m.startMargin / 100,
+      endMargin: m.endMargin / 100,
+      years: m.years,
+      wacc: m.wacc / 100,
+      terminalGrowth: m.terminalGrowth / 100,
+      netCash: m.netCash * 1e9,
+      shares: m.shares * 1e9,
+    };
+  }
+
+  function renderDcfInputs() {
+    const form = document.getElementById('dcfInputs');
+    if (!form) return;
+    const { inputs } = STATE.dcf;
+    form.innerHTML = DCF_FIELDS.map(([field, label, min, max, step]) => `
+      <label>${label}
+        <input type="number" data-field="${field}" min="${min}" max="${max}" step="${step}"
+          value="${inputs[field] == null ? '' : inputs[field]}">
+      </label>
+    `).join('');
+  }
+
+  function initDcf() {
+    STATE.dcf = loadDcfModel();
+    renderDcfInputs();
+
+    const form = document.getElementById('dcfInputs');
+    if (form) {
+      form.addEventListener('submit', e => e.preventDefault());
+      form.addEventListener('input', (e) => {
+        const input = e.target;
+        const spec = DCF_FIELDS.find(([field]) => field === input.dataset.field);
+        if (!spec) return;
+        const [field, , min, max] = spec;
+        // An empty price falls back to the live price
+        if (field === 'price' && input.value === '') {
+          input.classList.remove('invalid');
+          STATE.dcf.inputs.price = null;
+        } else {
+          const value = Number(input.value);
+          const valid = input.value !== '' && Number.isFinite(value) && value >= min && value <= max
+            && (field !== 'years' || Number.isInteger(value));
+          input.classList.toggle('invalid', !valid);
+          if (!valid) return;
+          STATE.dcf.inputs[field] = value;
+        }
+        saveDcfModel();
+        updateDcf();
+      });
+    }
+
+    const controls = document.getElementById('dcfModeControls');
+    if (controls) {
+      controls.addEventListener('click', (e) => {
+        const btn = e.target.closest('.chart-btn');
+        if (!btn) return;
+        STATE.dcf.mode = btn.dataset.mode;
+        saveDcfModel();
+        updateDcf();
+      });
+    }
+  }
+
+  function formatSignedPct(value) {
+    return (value >= 0 ? '+' : '') + (value * 100).toFixed(1) + '%';
+  }
+
+  function updateDcf() {
+    const results = document.getElementById('dcfResults');
+    if (!STATE.dcf || !results) return;
+    const { mode, inputs } = STATE.dcf;
+    const reverse = mode === 'reverse';
+    const live = latestPltrClose();
+    const baseTarget = projectValuation().base.price;
+
+    const ttm = trailingFinancials();
+    const pltr = companyInfo('PLTR');
+    const cashSource = pltr.netCash == null ? null : sourceTitle(pltr.netCashSource || pltr.source);
+    setText('dcfMeta', (ttm.fcf == null
+      ? `No TTM free cash flow in the dataset; starts from ${formatCurrency(ttm.revenue)} revenue (${ttm.period})`
+      : `Starts from TTM free cash flow ${formatCurrency(ttm.fcf)} on ` +
+        `${formatCurrency(ttm.revenue)} revenue (${ttm.period})`) +
+      (cashSource ? ` \u2022 net cash per ${cashSource}` : ''));
+
+    document.querySelectorAll('#dcfModeControls .chart-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.mode === mode);
+    });
+    document.querySelectorAll('#dcfInputs input').forEach(input => {
+      if (input.dataset.field === 'growth') input.disabled = reverse;
+      if (input.dataset.field === 'price') {
+        input.disabled = !reverse;
+        input.placeholder = live ? live.toFixed(2) : 'Live price';
+      }
+    });
+
+    const row = (label, value, cls) => `<dt>${label}</dt><dd${cls ? ` class="${cls}"` : ''}>${value}</dd>`;
+    const upDown = v => (v >= 0 ? 'up' : 'down');
+
+    if (reverse) {
+      const price = inputs.price || live;
+      if (!price) {
+        results.innerHTML = '<div class="dcf-value-label">Reverse DCF</div>' +
+          '<p>Enter a price to solve for, or load PLTR prices.</p>';
+      } else {
+        const growth = Analytics.impliedGrowth(dcfParams(), price);
+        const result = growth == null ? null : Analytics.dcf(dcfParams({ growth: growth * 100 }));
+        const last = result && result.forecast[result.forecast.length - 1];
+        results.innerHTML = `
+          <div class="dcf-value-label">Implied revenue growth</div>
+          <div class="dcf-value">${growth == null ? 'n/a' : (growth * 100).toFixed(1) + '%'}</div>
+          <dl>
+            ${row('Price solved for', '$' + price.toFixed(2))}
+            ${row('Per year, for', inputs.years + ' years')}
+            ${last ? row(`Year-${inputs.years} revenue`, formatCurrency(last.revenue)) : ''}
+            ${row('TTM revenue growth', ttm.growth == null ? 'n/a' : (ttm.growth * 100).toFixed(1) + '%')}
+            ${row('Base case model CAGR', STATE.valuation.base.cagr + '%')}
+          </dl>`;
+      }
+    } else {
+      const result = Analytics.dcf(dcfParams());
+      if (!result) {
+        results.innerHTML = '<div class="dcf-value-label">Intrinsic value / share</div>' +
+          '<p>WACC must be above terminal growth.</p>';
+      } else {
+        const value = result.perShare;
+        results.innerHTML = `
+          <div class="dcf-value-label">Intrinsic value / share</div>
+          <div class="dcf-value">$${value.toFixed(2)}</div>
+          <dl>
+            ${live ? row('vs live price $' + live.toFixed(2), formatSignedPct(value / live - 1), upDown(value - live)) : ''}
+            ${row('vs base case $' + Math.round(baseTarget), formatSignedPct(value / baseTarget - 1), upDown(value - baseTarget))}
+            ${row('PV of forecast FCF', formatCurrency(result.pvForecast))}
+            ${row('PV of terminal value', formatCurrency(result.pvTerminal) +
+              ` (${Math.round(result.pvTerminal / result.enterpriseValue * 100)}% of EV)`)}
+            ${row('Enterprise value', formatCurrency(result.enterpriseValue))}
+            ${row('Equity value', formatCurrency(result.equityValue))}
+          </dl>`;
+      }
+    }
+
+    renderDcfSensitivity(reverse ? inputs.price || live : null);
   }
 
-  // ── Revenue Chart (known quarterly data) ──────────────────
-  function renderRevenueChart() {
-    const ctx = document.getElementById('revenueChart').getContext('2d');
-    const gradient = createGradient(ctx, 'rgba(201, 168, 76, 0.3)', 'rgba(201, 168, 76, 0.0)');
+  // Rows step WACC by 1pt and columns terminal growth by 0.5pt around the
+  // current inputs. Cells show value per share, or implied growth in reverse mode.
+  function renderDcfSensitivity(reversePrice) {
+    const table = document.getElementById('dcfSensitivity');
+    const title = document.getElementById('dcfSensitivityTitle');
+    if (!table) return;
+    const { inputs, mode } = STATE.dcf;
+    const reverse = mode === 'reverse';
+    const waccs = [-2, -1, 0, 1, 2].map(d => inputs.wacc + d).filter(w => w > 0);
+    const growths = [-1, -0.5, 0, 0.5, 1].map(d => inputs.terminalGrowth + d);
 
-    const labels = [
-      'Q1\'22', 'Q2\'22', 'Q3\'22', 'Q4\'22',
-      'Q1\'23', 'Q2\'23', 'Q3\'23', 'Q4\'23',
-      'Q1\'24', 'Q2\'24', 'Q3\'24', 'Q4\'24',
-    ];
-    const revenue = [446, 473, 478, 509, 525, 533, 558, 608, 634, 678, 726, 828];
-    const yoyGrowth = [31, 26, 22, 18, 18, 13, 17, 20, 21, 27, 30, 36];
+    if (title) {
+      title.textContent = reverse
+        ? 'Implied revenue growth: WACC \u00d7 terminal growth'
+        : 'Value per share: WACC \u00d7 terminal growth';
+    }
 
-    new Chart(ctx, {
-      type: 'bar',
-      data: {
-        labels,
-        datasets: [
-          {
-            label: 'Revenue ($M)',
-            data: revenue,
-            backgroundColor: gradient,
-            borderColor: '#c9a84c',
-            borderWidth: 1,
-            borderRadius: 6,
-            borderSkipped: false,
-            yAxisID: 'y',
-          },
-          {
-            label: 'YoY Growth (%)',
-            data: yoyGrowth,
-            type: 'line',
-            borderColor: '#00d4ff',
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            pointRadius: 3,
-            pointBackgroundColor: '#00d4ff',
-            tension: 0.4,
-            yAxisID: 'y1',
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        interaction: { mode: 'index', intersect: false },
-        scales: {
-          x: {
-            ticks: { maxRotation: 0 },
-            grid: { display: false },
-          },
-          y: {
-            position: 'left',
-            ticks: { callback: v => '$' + v + 'M' },
-          },
-          y1: {
-            position: 'right',
-            ticks: { callback: v => v + '%' },
-            grid: { drawOnChartArea: false },
-          },
-        },
-        plugins: {
-          tooltip: {
-            callbacks: {
-              label: function (ctx) {
-                if (ctx.datasetIndex === 0) return 'Revenue: $' + ctx.raw + 'M';
-                return 'YoY Growth: ' + ctx.raw + '%';
-              },
-            },
-          },
-        },
-      },
+    const cell = (wacc, terminalGrowth) => {
+      const overrides = { wacc, terminalGrowth };
+      if (reverse) {
+        const g = reversePrice ? Analytics.impliedGrowth(dcfParams(overrides), reversePrice) : null;
+        return g == null ? '\u2014' : (g * 100).toFixed(1) + '%';
+      }
+      const result = Analytics.dcf(dcfParams(overrides));
+      return result ? '$' + result.perShare.toFixed(0) : '\u2014';
+    };
+
+    table.innerHTML = `
+      <thead><tr><th>WACC \\ g</th>${growths.map(g => `<th>${g.toFixed(2)}%</th>`).join('')}</tr></thead>
+      <tbody>
+        ${waccs.map(w => `<tr><th>${w.toFixed(2)}%</th>${growths.map(g => `
+          <td${w === inputs.wacc && g === inputs.terminalGrowth ? ' class="current"' : ''}>${cell(w, g)}</td>`).join('')}
+        </tr>`).join('')}
+      </tbody>`;
+  }
+
+  // ── Monte Carlo Simulation ────────────────────────────────
+  // Simulates from the latest bar to the end of the furthest scenario target
+  // year and reports the odds of reaching each scenario price along the way.
+  let simulationTimer = null;
+  let simulationRequest = 0;
+  const simulationPending = new Map(); // request id -> { params, resolve } awaiting the worker
+
+  // Coalesces bursts of model edits into one run
+  function scheduleSimulation() {
+    clearTimeout(simulationTimer);
+    simulationTimer = setTimeout(runSimulation, 250);
+  }
+
+  function getSimulationWorker() {
+    if (STATE.simulationWorker === undefined) {
+      try {
+        STATE.simulationWorker = typeof Worker === 'function'
+          ? new Worker(CONFIG.simulationWorkerUrl)
+          : null;
+      } catch (e) {
+        // e.g. file:// pages may not start workers
+        STATE.simulationWorker = null;
+      }
+      if (STATE.simulationWorker) {
+        STATE.simulationWorker.onmessage = onSimulationMessage;
+        STATE.simulationWorker.onerror = (e) => {
+          e.preventDefault();
+          simulationWorkerFailed(e.message || 'worker error');
+        };
+      }
+    }
+    return STATE.simulationWorker;
+  }
+
+  function simulateOnMainThread(params) {
+    return new Promise(resolve => {
+      setTimeout(() => resolve({ result: Analytics.simulatePaths(params), inWorker: false }), 0);
     });
   }
 
-  // ── Profitability Chart ───────────────────────────────────
-  function renderProfitChart() {
-    const ctx = document.getElementById('profitChart').getContext('2d');
+  // Every request gets its own answer, superseded runs included; callers
+  // drop stale results by token
+  function onSimulationMessage(e) {
+    const pending = simulationPending.get(e.data.id);
+    if (!pending) return;
+    if (e.data.error) {
+      simulationWorkerFailed(e.data.error);
+      return;
+    }
+    simulationPending.delete(e.data.id);
+    pending.resolve({ result: e.data.result, inWorker: true });
+  }
 
-    const labels = [
-      'Q1\'22', 'Q2\'22', 'Q3\'22', 'Q4\'22',
-      'Q1\'23', 'Q2\'23', 'Q3\'23', 'Q4\'23',
-      'Q1\'24', 'Q2\'24', 'Q3\'24', 'Q4\'24',
-    ];
-    const gaapNetIncome = [-101, -179, -124, -73, -17, 28, 72, 93, 106, 134, 144, 162];
-    const fcf = [30, -3, 37, 104, 54, 90, 141, 305, 148, 149, 435, 517];
+  // Drops the worker and reruns whatever was waiting on it on the main thread
+  function simulationWorkerFailed(reason) {
+    console.warn('Simulation worker unavailable, running on main thread:', reason);
+    if (STATE.simulationWorker) STATE.simulationWorker.terminate();
+    STATE.simulationWorker = null;
+    const waiting = [...simulationPending.values()];
+    simulationPending.clear();
+    waiting.forEach(({ params, resolve }) => resolve(simulateOnMainThread(params)));
+  }
+
+  // Resolves { result, inWorker }; falls back to the main thread if the worker
+  // cannot be started or fails, so results are the same either way
+  function simulate(params) {
+    const worker = getSimulationWorker();
+    if (!worker) return simulateOnMainThread(params);
+
+    const id = ++simulationRequest;
+    return new Promise(resolve => {
+      simulationPending.set(id, { params, resolve });
+      worker.postMessage({ id, params });
+    });
+  }
 
-    new Chart(ctx, {
+  // Session dates following `from`, one per simulated step
+  function futureSessions(from, steps) {
+    const dates = [];
+    let day = from;
+    for (let i = 0; i < steps; i++) {
+      day = TradingCalendar.addSessions(day, 1);
+      dates.push(day);
+    }
+    return dates;
+  }
+
+  async function runSimulation() {
+    const data = STATE.adjustedBars;
+    const token = ++STATE.simulationToken;
+    if (!data) {
+      setChartLoading('simulation', 'Waiting for price data...', false);
+      setText('simulationMeta', 'No price data loaded');
+      renderSimulationOdds(null);
+      return;
+    }
+
+    const { method, drift, lookback, paths, seed } = STATE.simulation;
+    const history = lookback === 'all' ? data : data.slice(-(Number(lookback) + 1));
+    const returns = Analytics.logReturns(history.map(d => d.close));
+    const last = data[data.length - 1];
+    const horizonYear = Math.max(...SCENARIOS.map(({ key }) => STATE.valuation[key].targetYear));
+    const horizon = TradingCalendar.previousTradingDay(new Date(horizonYear, 11, 31));
+    const steps = TradingCalendar.sessionsBetween(last.date, horizon);
+    if (steps < 1 || returns.length < 20) {
+      setChartLoading('simulation', 'Not enough history to simulate', false);
+      renderSimulationOdds(null);
+      return;
+    }
+
+    const projections = projectValuation();
+    const levels = STATE.symbol === 'PLTR' ? SCENARIOS.map(({ key }) => projections[key].price) : [];
+
+    setChartLoading('simulation', `Simulating ${paths.toLocaleString('en-US')} paths...`, true);
+    const started = performance.now();
+    const { result, inWorker } = await simulate({
+      start: last.close, returns, steps, paths, method, seed, levels,
+      drift: drift === 'zero' ? 0 : null,
+    });
+    if (token !== STATE.simulationToken) return;
+
+    const dates = futureSessions(last.date, steps);
+    const annualized = v => (v * 100).toFixed(0) + '%';
+    setText('simulationMeta', [
+      `${paths.toLocaleString('en-US')} paths`,
+      method === 'gbm' ? 'GBM' : 'Bootstrap',
+      `${returns.length} daily returns`,
+      `\u03c3 ${annualized(result.sd * Math.sqrt(252))}`,
+      `drift ${annualized(result.mean * 252)}/yr`,
+      `seed ${seed}`,
+      `${Math.round(performance.now() - started)}ms${inWorker ? ' in worker' : ''}`,
+    ].join(' \u2022 '));
+
+    renderSimulationChart(data, result, dates, levels);
+    renderSimulationOdds(result, dates, levels);
+  }
+
+  // Last year of closes followed by percentile bands; 5-95 and 25-75 are
+  // filled against the dataset before them
+  function renderSimulationChart(data, result, dates, levels) {
+    const canvas = document.getElementById('simulationChart');
+    const loading = document.getElementById('simulationChartLoading');
+    if (!canvas) return;
+    if (loading) loading.style.display = 'none';
+    canvas.style.display = 'block';
+
+    const history = data.slice(-252);
+    const pad = new Array(history.length - 1).fill(null);
+    const labels = history.concat(dates.map(date => ({ date }))).map(d => formatDate(d.date));
+    const band = p => pad.concat(result.percentiles[p]);
+
+    const bandLine = (label, data, fill, background) => ({
+      label,
+      data,
+      borderColor: 'rgba(201, 168, 76, 0.35)',
+      backgroundColor: background,
+      borderWidth: 1,
+      pointRadius: 0,
+      fill,
+    });
+
+    if (STATE.simulationChart) STATE.simulationChart.destroy();
+    STATE.simulationChart = new Chart(canvas.getContext('2d'), {
       type: 'line',
       data: {
         labels,
         datasets: [
           {
-            label: 'GAAP Net Income ($M)',
-            data: gaapNetIncome,
+            label: 'Close',
+            data: history.map(d => d.close),
             borderColor: '#00d4ff',
-            backgroundColor: 'rgba(0, 212, 255, 0.1)',
             borderWidth: 2,
-            pointRadius: 4,
-            pointBackgroundColor: gaapNetIncome.map(v => v >= 0 ? '#2ed573' : '#ff4757'),
-            tension: 0.4,
-            fill: true,
+            pointRadius: 0,
+            fill: false,
           },
+          bandLine('5th pct', band(5), false, 'transparent'),
+          bandLine('95th pct', band(95), '-1', 'rgba(201, 168, 76, 0.08)'),
+          bandLine('25th pct', band(25), false, 'transparent'),
+          bandLine('75th pct', band(75), '-1', 'rgba(201, 168, 76, 0.18)'),
           {
-            label: 'Free Cash Flow ($M)',
-            data: fcf,
-            borderColor: '#2ed573',
-            backgroundColor: 'transparent',
+            label: 'Median',
+            data: band(50),
+            borderColor: '#c9a84c',
             borderWidth: 2,
-            pointRadius: 3,
-            pointBackgroundColor: '#2ed573',
-            tension: 0.4,
-            borderDash: [4, 2],
+            pointRadius: 0,
+            fill: false,
           },
         ],
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        animation: false,
         interaction: { mode: 'index', intersect: false },
         scales: {
           x: {
-            ticks: { maxRotation: 0 },
             grid: { display: false },
+            ticks: { maxTicksLimit: 8, maxRotation: 0 },
           },
           y: {
-            ticks: { callback: v => '$' + v + 'M' },
+            type: 'logarithmic',
+            ticks: { callback: v => '$' + Number(v).toFixed(0) },
           },
         },
         plugins: {
-          annotation: {
-            annotations: {
-              zeroLine: {
-                type: 'line',
-                yMin: 0,
-                yMax: 0,
-                borderColor: 'rgba(255,255,255,0.15)',
-                borderWidth: 1,
-                borderDash: [4, 4],
-              },
-            },
+          legend: {
+            labels: { filter: item => !/^(5th|25th)/.test(item.text) },
           },
           tooltip: {
+            filter: item => item.raw != null,
             callbacks: {
-              label: ctx => ctx.dataset.label + ': $' + ctx.raw + 'M',
+              label: ctx => ctx.dataset.label + ': $' + ctx.raw.toFixed(2),
             },
           },
+          annotation: {
+            annotations: Object.fromEntries(levels.map((level, i) => {
+              const { key, label, point } = SCENARIOS[i];
+              return [key + 'Level', {
+                type: 'line',
+                yMin: level,
+                yMax: level,
+                borderColor: point,
+                borderWidth: 1,
+                borderDash: [6, 4],
+                label: {
+                  display: true,
+                  content: `${label} $${Math.round(level)}`,
+                  position: 'start',
+                  backgroundColor: 'rgba(16, 24, 32, 0.85)',
+                  color: point,
+                  font: { size: 10, weight: '600' },
+                  padding: { x: 6, y: 3 },
+                },
+              }];
+            })),
+          },
         },
       },
     });
   }
 
-  // ── Revenue Segment Chart ─────────────────────────────────
-  function renderSegmentChart() {
-    const ctx = document.getElementById('segmentChart').getContext('2d');
+  // Odds at each year end up to the horizon: reached at any point by then,
+  // and at or above the price on that date
+  function renderSimulationOdds(result, dates, levels) {
+    const table = document.getElementById('simulationOdds');
+    if (!table) return;
+    if (!result || !levels.length) {
+      table.innerHTML = result
+        ? '<tbody><tr><td>Scenario targets apply to PLTR; select it to see target odds.</td></tr></tbody>'
+        : '';
+      return;
+    }
 
-    const labels = ['2020', '2021', '2022', '2023', '2024'];
-    const govRevenue = [610, 645, 897, 1222, 1582];
-    const comRevenue = [482, 645, 1009, 1058, 1289];
+    const checkpoints = [];
+    const firstYear = dates[0].getFullYear();
+    const lastYear = dates[dates.length - 1].getFullYear();
+    for (let year = firstYear; year <= lastYear; year++) {
+      const yearEnd = new Date(year, 11, 31);
+      let step = dates.length;
+      while (step > 0 && dates[step - 1] > yearEnd) step--;
+      if (step > 0) checkpoints.push({ step, date: dates[step - 1] });
+    }
 
-    new Chart(ctx, {
-      type: 'bar',
-      data: {
-        labels,
-        datasets: [
-          {
-            label: 'Government',
-            data: govRevenue,
-            backgroundColor: 'rgba(0, 212, 255, 0.7)',
-            borderRadius: 4,
-            borderSkipped: false,
-          },
-          {
-            label: 'Commercial',
-            data: comRevenue,
-            backgroundColor: 'rgba(201, 168, 76, 0.7)',
-            borderRadius: 4,
-            borderSkipped: false,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        scales: {
-          x: {
-            stacked: true,
-            grid: { display: false },
-          },
-          y: {
-            stacked: true,
-            ticks: { callback: v => '$' + v + 'M' },
-          },
-        },
-        plugins: {
-          tooltip: {
-            callbacks: {
-              label: ctx => ctx.dataset.label + ': $' + ctx.raw + 'M',
-            },
-          },
-        },
-      },
-    });
+    const pct = v => Math.round(v * 100) + '%';
+    table.innerHTML = `
+      <thead><tr><th>Scenario</th>${checkpoints.map(c => `<th>By ${formatDate(c.date)}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${levels.map((level, i) => `
+          <tr${SCENARIOS[i].key === 'base' ? ' class="highlight-row"' : ''}>
+            <td>${SCENARIOS[i].label} $${Math.round(level)}</td>
+            ${checkpoints.map(c => `<td>${pct(result.touch[i][c.step])}
+              <span class="odds-sub">${pct(result.above[i][c.step])} at/above on date</span></td>`).join('')}
+          </tr>`).join('')}
+      </tbody>`;
+  }
+
+  function initSimulationControls() {
+    const form = document.getElementById('simulationControls');
+    if (!form) return;
+    const fields = form.querySelectorAll('[data-param]');
+    fields.forEach(el => { el.value = STATE.simulation[el.dataset.param]; });
+
+    const apply = (e) => {
+      e.preventDefault();
+      const next = Object.assign({}, STATE.simulation);
+      let valid = true;
+      fields.forEach(el => {
+        const param = el.dataset.param;
+        if (el.tagName === 'SELECT') {
+          next[param] = el.value;
+          return;
+        }
+        const value = Number(el.value);
+        const ok = Number.isInteger(value) && value >= Number(el.min) && value <= Number(el.max);
+        el.classList.toggle('invalid', !ok);
+        if (ok) next[param] = value;
+        else valid = false;
+      });
+      if (!valid) return;
+      STATE.simulation = next;
+      runSimulation();
+    };
+    form.addEventListener('submit', apply);
+    form.addEventListener('change', apply);
   }
 
   // ── Target Scenario Chart ─────────────────────────────────
+  function targetChartLabels(results) {
+    return results.base.years.map(year => year + (year === results.base.years[0] ? 'A' : 'E'));
+  }
+
   function renderTargetChart() {
     const ctx = document.getElementById('targetChart').getContext('2d');
+    const results = projectValuation();
+    const labels = targetChartLabels(results);
+    const targetLabel = STATE.valuation.base.targetYear + 'E';
 
-    const labels = ['2024A', '2025E', '2026E', '2027E', '2028E'];
-
-    const bearRevenue = [2870, 3387, 3996, 4236, 4871];
-    const baseRevenue = [2870, 3588, 4485, 5606, 7008];
-    const bullRevenue = [2870, 3731, 4850, 6305, 8197];
-
-    new Chart(ctx, {
+    STATE.targetChart = new Chart(ctx, {
       type: 'line',
       data: {
         labels,
-        datasets: [
-          {
-            label: 'Bear Revenue ($M)',
-            data: bearRevenue,
-            borderColor: 'rgba(255, 71, 87, 0.7)',
-            backgroundColor: 'rgba(255, 71, 87, 0.05)',
-            borderWidth: 2,
-            borderDash: [6, 3],
-            pointRadius: 4,
-            pointBackgroundColor: '#ff4757',
-            tension: 0.4,
-            fill: false,
-          },
-          {
-            label: 'Base Revenue ($M)',
-            data: baseRevenue,
-            borderColor: '#c9a84c',
-            backgroundColor: 'rgba(201, 168, 76, 0.1)',
-            borderWidth: 3,
-            pointRadius: 5,
-            pointBackgroundColor: '#c9a84c',
-            tension: 0.4,
-            fill: true,
-          },
-          {
-            label: 'Bull Revenue ($M)',
-            data: bullRevenue,
-            borderColor: 'rgba(46, 213, 115, 0.7)',
-            backgroundColor: 'rgba(46, 213, 115, 0.05)',
-            borderWidth: 2,
-            borderDash: [6, 3],
-            pointRadius: 4,
-            pointBackgroundColor: '#2ed573',
+        datasets: SCENARIOS.map(({ key, label, line, point }) => {
+          const isBase = key === 'base';
+          return {
+            label: label + ' Revenue ($M)',
+            data: results[key].revenue.map(v => v / 1e6),
+            borderColor: line,
+            backgroundColor: isBase ? 'rgba(201, 168, 76, 0.1)' : 'transparent',
+            borderWidth: isBase ? 3 : 2,
+            borderDash: isBase ? [] : [6, 3],
+            pointRadius: isBase ? 5 : 4,
+            pointBackgroundColor: point,
             tension: 0.4,
-            fill: false,
-          },
-        ],
+            fill: isBase,
+          };
+        }),
       },
       options: {
         responsive: true,
@@ -833,14 +5668,14 @@
             annotations: {
               targetZone: {
                 type: 'box',
-                xMin: '2027E',
-                xMax: '2027E',
+                xMin: targetLabel,
+                xMax: targetLabel,
                 backgroundColor: 'rgba(201, 168, 76, 0.08)',
                 borderColor: 'rgba(201, 168, 76, 0.3)',
                 borderWidth: 1,
                 label: {
                   display: true,
-                  content: '2027 Target Year',
+                  content: STATE.valuation.base.targetYear + ' Target Year',
                   position: 'start',
                   backgroundColor: 'rgba(201, 168, 76, 0.8)',
                   color: '#101820',
@@ -856,8 +5691,38 @@
     });
   }
 
-  // ── Chart Controls (time range) ───────────────────────────
+  function updateTargetChart(results) {
+    const chart = STATE.targetChart;
+    if (!chart) return;
+    chart.data.labels = targetChartLabels(results);
+    SCENARIOS.forEach(({ key }, i) => {
+      chart.data.datasets[i].data = results[key].revenue.map(v => v / 1e6);
+    });
+    const zone = chart.options.plugins.annotation.annotations.targetZone;
+    zone.xMin = zone.xMax = STATE.valuation.base.targetYear + 'E';
+    zone.label.content = STATE.valuation.base.targetYear + ' Target Year';
+    chart.update();
+  }
+
+  // ── Chart Controls (time range, chart type) ──────────────────────
   function initChartControls() {
+    const intervalControls = document.getElementById('intervalControls');
+    if (intervalControls) {
+      intervalControls.addEventListener('click', (e) => {
+        const btn = e.target.closest('.chart-btn');
+        if (btn && btn.dataset.interval !== STATE.interval) setBarInterval(btn.dataset.interval);
+      });
+    }
+
+    const basisControls = document.getElementById('priceBasisControls');
+    if (basisControls) {
+      setPriceBasis(readStorage(STORAGE_KEYS.priceBasis) === 'raw' ? 'raw' : 'adjusted');
+      basisControls.addEventListener('click', (e) => {
+        const btn = e.target.closest('.chart-btn');
+        if (btn) setPriceBasis(btn.dataset.basis);
+      });
+    }
+
     const controls = document.getElementById('priceChartControls');
     if (!controls) return;
 
@@ -868,29 +5733,84 @@
       controls.querySelectorAll('.chart-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
 
-      const range = parseInt(btn.dataset.range, 10);
-      STATE.currentRange = range;
-      renderPriceChart(STATE.stockData, range);
+      const range = /^\d+$/.test(btn.dataset.range) ? parseInt(btn.dataset.range, 10) : btn.dataset.range;
+      setRange(range);
+    });
+
+    const typeControls = document.getElementById('chartTypeControls');
+    if (!typeControls) return;
+
+    typeControls.addEventListener('click', (e) => {
+      const btn = e.target.closest('.chart-btn');
+      if (!btn) return;
+
+      typeControls.querySelectorAll('.chart-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+
+      STATE.chartType = btn.dataset.type;
+      renderPriceChart(STATE.stockData, STATE.currentRange);
     });
   }
 
   // ── Initialize Everything ─────────────────────────────────
   async function init() {
+    STATE.symbol = getSymbolFromUrl();
+
     initNavbar();
     initScrollAnimations();
     initChartControls();
+    initIndicatorControls();
+    initCompareControls();
+    initRangePicker();
+    initSymbolSelector();
+    initStrictModeToggle();
+    initRefreshControl();
+    initPriceUpload();
+    initAlerts();
+    initPortfolio();
+    initBacktestControls();
+    initChartExports();
+    initReport();
+    initLiveQuotes();
+
+    // Prices load straight away; the local datasets fill in their sections
+    // whenever they arrive
+    await Promise.all([
+      loadStockData(),
+      loadEvents().then(initEventSections),
+      loadFundamentals().then(initFundamentalSections),
+    ]);
+  }
+
+  function initEventSections() {
+    initEvents();
+    initEarningsControls();
+    if (STATE.adjustedBars) {
+      updateEventMarkers();
+      renderEarningsPanel();
+    }
+  }
+
+  // Financial charts, the valuation models and the peer table all read the
+  // fundamentals dataset; without it only the price sections run
+  function initFundamentalSections(hasFundamentals) {
+    updateFundamentalsText();
+    if (!hasFundamentals) return;
+    initValuationModel();
+    initDcf();
+    initSimulationControls();
+    initPeerTable();
+    initSecImport();
 
-    // Render static charts immediately
     renderRevenueChart();
     renderProfitChart();
     renderSegmentChart();
     renderTargetChart();
-
-    // Fetch live data and render dynamic charts
-    const data = await fetchStockData();
-    if (data) {
-      renderPriceChart(data, STATE.currentRange);
-      renderVolumeChart(data);
+    updateValuationOutputs();
+    if (STATE.adjustedBars) {
+      updateTickerDisplay(null, STATE.adjustedBars);
+      renderEarningsPanel();
+      loadPeerPrices();
     }
   }
 
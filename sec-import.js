@@ -0,0 +1,334 @@
+// ============================================================
+// Palantir Analysis — sec-import.js
+// Quarterly financials from SEC EDGAR companyfacts JSON and XBRL
+// instance documents, in the record shape of data/fundamentals.json
+// Loaded as window.SecImport in the page, or with require() in Node
+// ============================================================
+
+(function (root) {
+  'use strict';
+
+  // us-gaap concepts per metric, in order of preference
+  const CONCEPTS = {
+    revenue: [
+      'Revenues',
+      'RevenueFromContractWithCustomerExcludingAssessedTax',
+      'RevenueFromContractWithCustomerIncludingAssessedTax',
+      'SalesRevenueNet',
+    ],
+    netIncome: ['NetIncomeLoss', 'ProfitLoss'],
+    operatingCashFlow: [
+      'NetCashProvidedByUsedInOperatingActivities',
+      'NetCashProvidedByUsedInOperatingActivitiesContinuingOperations',
+    ],
+    capex: ['PaymentsToAcquirePropertyPlantAndEquipment', 'PaymentsToAcquireProductiveAssets'],
+  };
+
+  const METRIC_LABELS = {
+    revenue: 'revenue',
+    netIncome: 'net income',
+    operatingCashFlow: 'operating cash flow',
+    capex: 'capex',
+  };
+
+  // Segment members are matched by name onto the dataset's segment fields
+  const SEGMENT_FIELDS = { government: /government/i, commercial: /commercial/i };
+
+  const DAY = 86400000;
+
+  function metricOf(concept) {
+    return Object.keys(CONCEPTS).find(metric => CONCEPTS[metric].includes(concept)) || null;
+  }
+
+  function days(fact) {
+    return Math.round((Date.parse(fact.end) - Date.parse(fact.start)) / DAY);
+  }
+
+  // ── Parsers ───────────────────────────────────────────────
+  // Both parsers return { entity, facts } where each fact is
+  // { metric, concept, value, start, end, segment, filed, origin }.
+  // Only duration facts in USD for the concepts above are kept.
+
+  function parseCompanyFacts(json, origin = 'companyfacts') {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !data.facts || !data.facts['us-gaap']) {
+      throw new Error(origin + ': not a companyfacts file (no us-gaap facts)');
+    }
+    const gaap = data.facts['us-gaap'];
+    const facts = [];
+    Object.keys(gaap).forEach(concept => {
+      const metric = metricOf(concept);
+      const usd = metric && gaap[concept].units && gaap[concept].units.USD;
+      if (!usd) return;
+      usd.forEach(f => {
+        if (!f.start || !f.end || !Number.isFinite(f.val)) return;
+        facts.push({
+          metric,
+          concept,
+          value: f.val,
+          start: f.start,
+          end: f.end,
+          segment: null,
+          filed: f.filed || null,
+          origin: origin + (f.form ? ' ' + f.form : ''),
+        });
+      });
+    });
+    return { entity: data.entityName || null, facts };
+  }
+
+  // `DOMParserImpl` is only needed outside the browser
+  function parseXbrlInstance(text, origin = 'XBRL instance', DOMParserImpl = root.DOMParser) {
+    if (!DOMParserImpl) throw new Error('XBRL parsing needs a DOMParser');
+    const doc = new DOMParserImpl().parseFromString(text, 'application/xml');
+    const all = [...doc.getElementsByTagName('*')];
+    if (all.some(el => el.localName === 'parsererror')) throw new Error(origin + ': not well-formed XML');
+    if (!all.some(el => el.localName === 'context')) throw new Error(origin + ': no XBRL contexts found');
+
+    const childText = (el, name) => {
+      const child = [...el.getElementsByTagName('*')].find(c => c.localName === name);
+      return child ? child.textContent.trim() : null;
+    };
+
+    const contexts = {};
+    all.filter(el => el.localName === 'context').forEach(el => {
+      const members = [...el.getElementsByTagName('*')].filter(c => c.localName === 'explicitMember');
+      contexts[el.getAttribute('id')] = {
+        start: childText(el, 'startDate'),
+        end: childText(el, 'endDate'),
+        // Only single-dimension business segment contexts are of interest
+        segment: members.length === 1 && /Segment/i.test(members[0].getAttribute('dimension') || '')
+          ? members[0].textContent.trim().replace(/^.*:/, '')
+          : (members.length ? undefined : null),
+      };
+    });
+
+    const usdUnits = new Set(all
+      .filter(el => el.localName === 'unit' && /USD$/i.test(childText(el, 'measure') || ''))
+      .map(el => el.getAttribute('id')));
+
+    const entityEl = all.find(el => el.localName === 'EntityRegistrantName');
+    // Instances carry no filing date; the period end orders them instead
+    const periodEl = all.find(el => el.localName === 'DocumentPeriodEndDate');
+    const filed = periodEl ? periodEl.textContent.trim() : null;
+
+    const facts = [];
+    all.forEach(el => {
+      const metric = metricOf(el.localName);
+      if (!metric || !/us-gaap/.test(el.namespaceURI || el.prefix || '')) return;
+      const ctx = contexts[el.getAttribute('contextRef')];
+      const value = Number(el.textContent.trim());
+      if (!ctx || !ctx.start || !ctx.end || ctx.segment === undefined) return;
+      if (!usdUnits.has(el.getAttribute('unitRef')) || el.textContent.trim() === '' || !Number.isFinite(value)) return;
+      facts.push({
+        metric,
+        concept: el.localName,
+        value,
+        start: ctx.start,
+        end: ctx.end,
+        segment: ctx.segment,
+        filed,
+        origin,
+      });
+    });
+    return { entity: entityEl ? entityEl.textContent.trim() : null, facts };
+  }
+
+  // ── Fiscal Calendar ───────────────────────────────────────
+  // Fiscal years are named for the calendar year they end in. Ends a few
+  // days into a month (52/53-week years) count toward the month before.
+  function endMonth(end) {
+    const d = new Date(Date.parse(end) - 7 * DAY);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+  }
+
+  function fiscalYearEndMonth(facts) {
+    const counts = {};
+    facts.filter(f => days(f) > 350).forEach(f => {
+      const { month } = endMonth(f.end);
+      counts[month] = (counts[month] || 0) + 1;
+    });
+    const months = Object.keys(counts);
+    if (!months.length) return 11;
+    return +months.sort((a, b) => counts[b] - counts[a])[0];
+  }
+
+  // 'YYYY-Qn' for a quarter ending on `end`, or null off the fiscal grid
+  function fiscalPeriod(end, fyEndMonth) {
+    const { year, month } = endMonth(end);
+    const after = (month - fyEndMonth + 12) % 12;
+    if (after % 3 !== 0) return null;
+    const quarter = after === 0 ? 4 : after / 3;
+    return (month <= fyEndMonth ? year : year + 1) + '-Q' + quarter;
+  }
+
+  function nextPeriod(period) {
+    const [year, q] = period.split('-Q').map(Number);
+    return q === 4 ? (year + 1) + '-Q1' : year + '-Q' + (q + 1);
+  }
+
+  // ── Quarterly Values ──────────────────────────────────────
+  // One value per concept, segment and (start, end) span. The latest filing
+  // wins; an earlier filing with a different value is reported as a restatement.
+  function dedupe(facts, issues, label) {
+    const spans = new Map();
+    facts.forEach(f => {
+      const key = [f.concept, f.segment, f.start, f.end].join('/');
+      if (!spans.has(key)) spans.set(key, []);
+      spans.get(key).push(f);
+    });
+    const result = [];
+    spans.forEach(list => {
+      list.sort((a, b) => String(a.filed || '').localeCompare(String(b.filed || '')));
+      const latest = list[list.length - 1];
+      const revised = list.filter(f => Math.abs(f.value - latest.value) >= 0.5e6);
+      if (revised.length) {
+        issues.push({
+          type: 'restatement',
+          message: `${label}${latest.segment ? ' (' + latest.segment + ')' : ''} ` +
+            `${latest.start} to ${latest.end} restated from ` +
+            `$${(revised[0].value / 1e6).toFixed(1)}M to $${(latest.value / 1e6).toFixed(1)}M` +
+            (latest.filed ? ` (filed ${latest.filed})` : ''),
+        });
+      }
+      result.push(latest);
+    });
+    return result;
+  }
+
+  // Three-month values keyed by quarter end. Cash-flow statements are
+  // reported year-to-date, so quarters come from differences of spans that
+  // share a fiscal-year start; Q4 is the annual figure less nine months, or
+  // less the three quarters before it when no nine-month figure exists.
+  function quarterValues(facts) {
+    const isQuarter = f => days(f) >= 80 && days(f) <= 100;
+    const byEnd = new Map();
+    facts.forEach(f => {
+      if (!byEnd.has(f.end)) byEnd.set(f.end, []);
+      byEnd.get(f.end).push(f);
+    });
+    const values = {};
+    byEnd.forEach((list, end) => {
+      const direct = list.find(isQuarter);
+      if (direct) values[end] = direct.value;
+    });
+    byEnd.forEach((list, end) => {
+      if (end in values) return;
+      const cumulative = list.filter(f => days(f) > 100 && days(f) <= 380).sort((a, b) => days(a) - days(b));
+      for (const span of cumulative) {
+        const earlier = facts.find(f => f.start === span.start && days(f) >= days(span) - 100 && days(f) <= days(span) - 80);
+        if (earlier) {
+          values[end] = span.value - earlier.value;
+          return;
+        }
+        const inside = facts.filter(f => isQuarter(f) && f.start >= span.start && f.end < span.end);
+        if (inside.length && inside.length === Math.round(days(span) / 91) - 1) {
+          values[end] = span.value - inside.reduce((sum, f) => sum + f.value, 0);
+          return;
+        }
+      }
+    });
+    return values;
+  }
+
+  // Merges parsed files into dataset records:
+  // { entity, quarters: [{ period, revenue, gaapNetIncome, fcf }],
+  //   segments: [{ year, government, commercial }], issues: [{ type, message }] }
+  // Amounts are in $M. Issue types: restatement, missing, segments, entity.
+  function buildDataset(parsed) {
+    const issues = [];
+    const facts = [].concat(...parsed.map(p => p.facts));
+    const entities = [...new Set(parsed.map(p => p.entity).filter(Boolean))];
+    if (entities.length > 1) {
+      issues.push({ type: 'entity', message: 'Files describe different companies: ' + entities.join(', ') });
+    }
+
+    const totals = facts.filter(f => f.segment === null);
+    const fyEndMonth = fiscalYearEndMonth(totals);
+
+    // metric -> { period: value }, preferring concepts in CONCEPTS order
+    const series = {};
+    Object.keys(CONCEPTS).forEach(metric => {
+      series[metric] = {};
+      CONCEPTS[metric].forEach(concept => {
+        const conceptFacts = dedupe(totals.filter(f => f.concept === concept), issues, METRIC_LABELS[metric]);
+        const values = quarterValues(conceptFacts);
+        Object.keys(values).forEach(end => {
+          const period = fiscalPeriod(end, fyEndMonth);
+          if (period && !(period in series[metric])) series[metric][period] = values[end];
+        });
+      });
+    });
+
+    const periods = Object.keys(series.revenue).sort();
+    const millions = v => Math.round(v / 1e5) / 10;
+    const quarters = periods.map(period => {
+      const record = { period, revenue: millions(series.revenue[period]) };
+      const income = series.netIncome[period];
+      const ocf = series.operatingCashFlow[period];
+      const capex = series.capex[period];
+      if (income != null) record.gaapNetIncome = millions(income);
+      if (ocf != null && capex != null) record.fcf = millions(ocf - capex);
+      return record;
+    });
+
+    // Gaps in the run of quarters, and quarters missing a metric
+    if (periods.length) {
+      for (let p = periods[0]; p < periods[periods.length - 1]; p = nextPeriod(p)) {
+        if (!(p in series.revenue)) issues.push({ type: 'missing', message: `No revenue for ${p}` });
+      }
+    }
+    quarters.forEach(q => {
+      if (q.gaapNetIncome == null) issues.push({ type: 'missing', message: `No net income for ${q.period}` });
+      if (q.fcf == null) {
+        const lacking = series.operatingCashFlow[q.period] == null ? 'operating cash flow' : 'capex';
+        issues.push({ type: 'missing', message: `No free cash flow for ${q.period} (${lacking} not found)` });
+      }
+    });
+
+    // Annual segment revenue from dimensioned revenue facts (XBRL only)
+    const segmentFacts = dedupe(facts.filter(f => f.metric === 'revenue' && f.segment && days(f) > 350), issues, 'segment revenue');
+    const years = {};
+    const unmatched = new Set();
+    segmentFacts.forEach(f => {
+      const field = Object.keys(SEGMENT_FIELDS).find(key => SEGMENT_FIELDS[key].test(f.segment));
+      if (!field) {
+        unmatched.add(f.segment);
+        return;
+      }
+      const period = fiscalPeriod(f.end, fyEndMonth);
+      if (!period) return;
+      const year = +period.slice(0, 4);
+      years[year] = years[year] || { year };
+      years[year][field] = millions(f.value);
+    });
+    if (unmatched.size) {
+      issues.push({ type: 'segments', message: 'Ignored segment members: ' + [...unmatched].join(', ') });
+    }
+    const segments = Object.keys(years).map(Number).sort().map(y => years[y])
+      .filter(s => s.government != null && s.commercial != null);
+
+    return { entity: entities[0] || null, quarters, segments, issues };
+  }
+
+  // Parses one file by content: JSON is companyfacts, XML is an instance
+  function parseFile(name, text, DOMParserImpl) {
+    return /^\s*[{[]/.test(text)
+      ? parseCompanyFacts(text, name)
+      : parseXbrlInstance(text, name, DOMParserImpl);
+  }
+
+  const SecImport = {
+    CONCEPTS,
+    parseCompanyFacts,
+    parseXbrlInstance,
+    parseFile,
+    buildDataset,
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SecImport;
+  } else {
+    root.SecImport = SecImport;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,15 @@
+// ============================================================
+// Palantir Analysis — simulation-worker.js
+// Runs Analytics.simulatePaths off the main thread
+// ============================================================
+
+importScripts('analytics.js');
+
+self.onmessage = function (e) {
+  const { id, params } = e.data;
+  try {
+    self.postMessage({ id, result: Analytics.simulatePaths(params) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,102 @@
+// Indicator checks against published reference values. Run with `npm test`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Analytics = require('../analytics.js');
+
+// Closes from Wilder's RSI worked example (as reproduced by StockCharts)
+const WILDER = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+  46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+  45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13,
+];
+
+function assertClose(actual, expected, digits) {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((v, i) => {
+    if (v == null) assert.equal(actual[i], null, `index ${i}`);
+    else assert.equal(Number(actual[i].toFixed(digits)), v, `index ${i}`);
+  });
+}
+
+test('sma averages the trailing window with a leading gap', () => {
+  assertClose(Analytics.sma([1, 2, 3, 4, 5, 6], 3), [null, null, 2, 3, 4, 5], 6);
+});
+
+test('ema seeds with the sma and skips leading nulls', () => {
+  assertClose(Analytics.ema([2, 4, 6, 8, 10], 3), [null, null, 4, 6, 8], 6);
+  assertClose(Analytics.ema([null, 2, 4, 6, 8], 3), [null, null, null, 4, 6], 6);
+  assertClose(Analytics.ema(WILDER, 10).slice(9, 13), [44.779, 44.981, 45.1717, 45.2514], 4);
+});
+
+test('rsi matches Wilder\'s reference series', () => {
+  const rsi = Analytics.rsi(WILDER, 14);
+  assert.ok(rsi.slice(0, 14).every(v => v == null));
+  assertClose(rsi.slice(14), [
+    70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+    54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79,
+  ], 2);
+});
+
+test('macd is the fast minus slow ema with an ema signal line', () => {
+  const { macd, signal, histogram } = Analytics.macd(WILDER, 12, 26, 5);
+  assertClose(macd.slice(25), [0.3067, 0.1394, 0.0187, -0.0729, -0.1159, -0.2400, -0.3951, -0.4747], 4);
+  assertClose(signal.slice(25), [null, null, null, null, 0.0552, -0.0432, -0.1605, -0.2652], 4);
+  assert.equal(histogram[32], macd[32] - signal[32]);
+  assert.ok(macd.slice(0, 25).every(v => v == null));
+});
+
+test('bollinger bands use the population standard deviation', () => {
+  const { middle, upper, lower } = Analytics.bollinger(WILDER, 20, 2);
+  assert.equal(middle[18], null);
+  assert.equal(Number(middle[32].toFixed(4)), 45.241);
+  assert.equal(Number(upper[32].toFixed(4)), 47.6202);
+  assert.equal(Number(lower[32].toFixed(4)), 42.8618);
+});
+
+test('vwap weights the typical price by volume', () => {
+  const bars = [
+    { high: 12, low: 8, close: 10, volume: 100 },
+    { high: 22, low: 18, close: 20, volume: 300 },
+    { high: 5, low: 5, close: 5, volume: 0 },
+  ];
+  assertClose(Analytics.vwap(bars), [10, 17.5, 17.5], 6);
+});
+
+test('obv adds volume on up closes and subtracts it on down closes', () => {
+  const bars = [
+    { close: 10, volume: 100 },
+    { close: 11, volume: 200 },
+    { close: 11, volume: 300 },
+    { close: 9, volume: 400 },
+  ];
+  assert.deepEqual(Analytics.obv(bars), [0, 200, 200, -200]);
+});
+
+test('createRng repeats its sequence for a seed', () => {
+  const draw = (seed) => {
+    const random = Analytics.createRng(seed);
+    return Array.from({ length: 5 }, () => random());
+  };
+  assert.deepEqual(draw(42), draw(42));
+  assert.notDeepEqual(draw(42), draw(43));
+  // Park-Miller: the first output for seed 1 is 16807 / (2^31 - 1)
+  assert.equal(Analytics.createRng(1)(), (16807 - 1) / 2147483646);
+  assert.ok(draw(7).every(v => v > 0 && v < 1));
+});
+
+test('simulatePaths is reproducible for a seed', () => {
+  const returns = Analytics.logReturns(WILDER);
+  const run = (seed, method) => Analytics.simulatePaths({
+    start: 43.13, returns, steps: 20, paths: 200, seed, method, levels: [45, 40],
+  });
+  ['gbm', 'bootstrap'].forEach(method => {
+    const a = run(42, method);
+    assert.deepEqual(a, run(42, method));
+    assert.notDeepEqual(a.percentiles, run(43, method).percentiles);
+    assert.equal(a.percentiles[50].length, 21);
+    assert.equal(a.percentiles[50][0], 43.13);
+    assert.ok(a.touch[0].every((p, t) => t === 0 || p >= a.touch[0][t - 1]));
+  });
+});
@@ -0,0 +1,106 @@
+// Backtest checks on the bundled PLTR history. Run with `npm test`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const Analytics = require('../analytics.js');
+const PriceFile = require('../price-file.js');
+
+const { bars } = PriceFile.parse(fs.readFileSync(path.join(__dirname, '../data/PLTR.csv'), 'utf8'));
+const closes = bars.map(b => b.close);
+// The page's default 1Y range
+const YEAR = bars.length - 252;
+
+// Fast 1 / slow 2 is long after every up close: one losing round trip,
+// then a winning position still open at the end
+const ZIGZAG = [10, 11, 12, 9, 10, 11, 12].map((close, i) => ({
+  date: new Date(2024, 0, 2 + i), open: close, close,
+}));
+const FLIP = { type: 'ma-cross', fast: 1, slow: 2 };
+
+test('ma-cross 50/200 warms up on bars before the window and trades inside it', () => {
+  const result = Analytics.backtest(bars, { type: 'ma-cross' }, { start: YEAR });
+  const firstSlow = Analytics.sma(closes, 200).findIndex(v => v != null);
+  assert.equal(result.equity.length, 252);
+  assert.equal(result.equity[0], 10000);
+  assert.ok(result.trades.length > 0);
+  assert.equal(result.trades[0].entryIndex, firstSlow + 1 - YEAR);
+  assert.deepEqual(result.strategy, { type: 'ma-cross', fast: 50, slow: 200 });
+});
+
+test('ma-cross only holds while the fast average is above the slow one', () => {
+  const fast = Analytics.sma(closes, 20);
+  const slow = Analytics.sma(closes, 50);
+  const { trades } = Analytics.backtest(bars, { type: 'ma-cross', fast: 20, slow: 50 }, { start: YEAR });
+  assert.ok(trades.length >= 2);
+  trades.forEach(t => {
+    assert.ok(fast[YEAR + t.entryIndex - 1] > slow[YEAR + t.entryIndex - 1]);
+    if (!t.open) assert.ok(fast[YEAR + t.exitIndex - 1] < slow[YEAR + t.exitIndex - 1]);
+  });
+});
+
+test('rsi buys below and sells above its thresholds', () => {
+  const rsi = Analytics.rsi(closes, 14);
+  const { trades } = Analytics.backtest(bars, { type: 'rsi', buyBelow: 45, sellAbove: 65 }, { start: YEAR });
+  assert.ok(trades.some(t => !t.open));
+  trades.forEach(t => {
+    assert.ok(rsi[YEAR + t.entryIndex - 1] < 45);
+    if (!t.open) assert.ok(rsi[YEAR + t.exitIndex - 1] > 65);
+  });
+});
+
+test('buy-and-hold buys at the first open and matches the benchmark', () => {
+  const result = Analytics.backtest(bars, { type: 'buy-hold' }, { start: YEAR });
+  const expected = 10000 / bars[YEAR].open * closes[closes.length - 1];
+  assert.equal(result.trades.length, 1);
+  assert.ok(result.trades[0].open);
+  assert.ok(Math.abs(result.stats.final - expected) < 1e-6);
+  assert.deepEqual(result.equity, result.benchmark.equity);
+  assert.equal(result.stats.exposure, 1);
+});
+
+test('dca invests equal slices every `every` bars', () => {
+  const result = Analytics.backtest(bars, { type: 'dca', every: 21 }, { start: YEAR });
+  assert.equal(result.trades.length, Math.ceil(252 / 21));
+  result.trades.forEach((t, i) => {
+    assert.equal(t.entryIndex, i * 21);
+    assert.ok(Math.abs(t.cost - 10000 / 12) < 1e-9);
+  });
+  assert.equal(result.stats.winRate, null);
+});
+
+test('win rate counts closed trades only', () => {
+  const { trades, stats } = Analytics.backtest(ZIGZAG, FLIP);
+  assert.deepEqual(trades.map(t => [t.entryIndex, t.exitIndex, t.open]), [[2, 4, false], [5, 6, true]]);
+  assert.ok(trades[0].pnl < 0 && trades[1].pnl > 0);
+  assert.equal(stats.trades, 2);
+  assert.equal(stats.closedTrades, 1);
+  assert.equal(stats.winRate, 0);
+});
+
+test('commission and slippage are charged on every fill', () => {
+  const { stats } = Analytics.backtest(ZIGZAG, FLIP, { capital: 1000, commission: 1, slippage: 0.01 });
+  const first = 999 / (12 * 1.01);
+  const cash = first * 10 * 0.99 - 1;
+  const second = (cash - 1) / (11 * 1.01);
+  assert.ok(Math.abs(stats.final - second * 12) < 1e-9);
+  const costs = 3 + first * 12 * 0.01 + first * 10 * 0.01 + second * 11 * 0.01;
+  assert.ok(Math.abs(stats.costs - costs) < 1e-9);
+
+  const free = Analytics.backtest(ZIGZAG, FLIP, { capital: 1000 });
+  assert.ok(stats.final < free.stats.final);
+  assert.equal(free.stats.costs, 0);
+});
+
+test('the same bars and settings give the same result', () => {
+  const opts = { start: YEAR, commission: 2, slippage: 0.0005 };
+  Object.keys(Analytics.STRATEGY_DEFAULTS).forEach(type => {
+    assert.deepEqual(Analytics.backtest(bars, { type }, opts), Analytics.backtest(bars, { type }, opts));
+  });
+});
+
+test('backtest needs two bars from start', () => {
+  assert.throws(() => Analytics.backtest(bars, { type: 'buy-hold' }, { start: bars.length - 1 }), /at least two bars/);
+});
@@ -0,0 +1,82 @@
+// NYSE calendar checks against the published holiday schedules. Run with `npm test`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TradingCalendar = require('../calendar.js');
+
+const day = iso => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+test('juneteenth starts in 2022 and shifts off weekends', () => {
+  assert.ok(TradingCalendar.isTradingDay(day('2021-06-18')));
+  assert.equal(TradingCalendar.holidayName(day('2022-06-20')), 'Juneteenth');
+  assert.equal(TradingCalendar.holidayName(day('2023-06-19')), 'Juneteenth');
+  assert.equal(TradingCalendar.holidayName(day('2027-06-18')), 'Juneteenth');
+});
+
+test('weekend holidays are observed on the Friday before or Monday after', () => {
+  assert.equal(TradingCalendar.holidayName(day('2021-07-05')), 'Independence Day');
+  assert.equal(TradingCalendar.holidayName(day('2026-07-03')), 'Independence Day');
+  assert.equal(TradingCalendar.holidayName(day('2021-12-24')), 'Christmas Day');
+  assert.equal(TradingCalendar.holidayName(day('2022-12-26')), 'Christmas Day');
+  // New Year's on a Saturday is not made up
+  assert.ok(TradingCalendar.isTradingDay(day('2021-12-31')));
+});
+
+test('good friday follows easter', () => {
+  ['2021-04-02', '2022-04-15', '2023-04-07', '2024-03-29', '2025-04-18', '2026-04-03', '2027-03-26'].forEach(iso => {
+    assert.equal(TradingCalendar.holidayName(day(iso)), 'Good Friday', iso);
+  });
+});
+
+test('2024 has the published ten holidays', () => {
+  assert.deepEqual(TradingCalendar.holidays(2024).map(h => h.date.getMonth() + 1 + '/' + h.date.getDate()), [
+    '1/1', '1/15', '2/19', '3/29', '5/27', '6/19', '7/4', '9/2', '11/28', '12/25',
+  ]);
+});
+
+test('early closes fall on open sessions only', () => {
+  ['2024-07-03', '2024-11-29', '2024-12-24'].forEach(iso => {
+    assert.ok(TradingCalendar.isTradingDay(day(iso)), iso);
+    assert.ok(TradingCalendar.isEarlyClose(day(iso)), iso);
+  });
+  assert.ok(!TradingCalendar.isEarlyClose(day('2024-07-05')));
+  // July 3 2026 is the observed holiday, and Christmas Eve 2022 a Saturday
+  assert.ok(!TradingCalendar.isEarlyClose(day('2026-07-03')));
+  assert.ok(!TradingCalendar.isEarlyClose(day('2022-12-24')));
+});
+
+test('session math skips weekends and holidays', () => {
+  assert.deepEqual(TradingCalendar.nextTradingDay(day('2024-06-15')), day('2024-06-17'));
+  assert.deepEqual(TradingCalendar.nextTradingDay(day('2024-01-13')), day('2024-01-16'));
+  assert.deepEqual(TradingCalendar.previousTradingDay(day('2024-03-31')), day('2024-03-28'));
+  assert.deepEqual(TradingCalendar.addSessions(day('2024-07-03'), 1), day('2024-07-05'));
+  assert.equal(TradingCalendar.sessionsBetween(day('2024-12-20'), day('2024-12-27')), 4);
+});
+
+test('marketState follows New York hours and early closes', () => {
+  const noon = TradingCalendar.marketState(new Date(Date.UTC(2024, 6, 3, 16, 0)));
+  assert.equal(noon.open, true);
+  assert.equal(noon.earlyClose, true);
+  assert.deepEqual(noon.closesAt, new Date(2024, 6, 3, 13, 0));
+  assert.equal(noon.msToChange, 3600000);
+
+  const afterEarly = TradingCalendar.marketState(new Date(Date.UTC(2024, 6, 3, 17, 30)));
+  assert.equal(afterEarly.open, false);
+  assert.equal(afterEarly.reason, 'After hours');
+
+  const holiday = TradingCalendar.marketState(new Date(Date.UTC(2024, 6, 4, 15, 0)));
+  assert.equal(holiday.reason, 'Independence Day');
+  assert.deepEqual(holiday.opensAt, new Date(2024, 6, 5, 9, 30));
+
+  const premarket = TradingCalendar.marketState(new Date(Date.UTC(2024, 0, 16, 13, 0)));
+  assert.equal(premarket.reason, 'Pre-market');
+  assert.deepEqual(premarket.session, day('2024-01-16'));
+
+  const weekend = TradingCalendar.marketState(new Date(Date.UTC(2024, 5, 15, 15, 0)));
+  assert.equal(weekend.reason, 'Weekend');
+  assert.deepEqual(weekend.opensAt, new Date(2024, 5, 17, 9, 30));
+});
@@ -0,0 +1,59 @@
+// Dataset checks for data/fundamentals.json. Run with `npm test`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Fundamentals = require('../fundamentals.js');
+const dataset = require('../data/fundamentals.json');
+const bundled = require('../data/fundamentals-bundled.js');
+
+const copy = () => JSON.parse(JSON.stringify(dataset));
+
+test('the shipped dataset validates', () => {
+  assert.deepEqual(Fundamentals.validate(dataset), []);
+});
+
+test('the bundled copy matches data/fundamentals.json', () => {
+  assert.deepEqual(bundled, dataset);
+});
+
+test('validate requires the PLTR company record', () => {
+  const data = copy();
+  delete data.companies.PLTR;
+  assert.deepEqual(Fundamentals.validate(data), ['companies.PLTR: required']);
+});
+
+test('validate requires a complete PLTR fiscal year', () => {
+  const data = copy();
+  data.quarterly.PLTR = data.quarterly.PLTR.slice(0, 3);
+  assert.deepEqual(Fundamentals.validate(data), [
+    'quarterly.PLTR: needs all four quarters of at least one fiscal year',
+  ]);
+  delete data.quarterly;
+  assert.equal(Fundamentals.validate(data).length, 1);
+});
+
+test('trailingYear sums the latest four quarters against the year before', () => {
+  const ttm = Fundamentals.trailingYear(dataset, 'PLTR');
+  assert.deepEqual(ttm.quarters.map(q => q.period), ['2024-Q1', '2024-Q2', '2024-Q3', '2024-Q4']);
+  assert.equal(ttm.revenue, 634 + 678 + 726 + 828);
+  assert.equal(ttm.fcf, ttm.quarters.reduce((s, q) => s + q.fcf, 0));
+  assert.ok(Math.abs(ttm.growth - (ttm.revenue / (525 + 533 + 558 + 608) - 1)) < 1e-12);
+});
+
+test('trailingYear skips quarters without fcf and leaves gaps as null', () => {
+  const data = copy();
+  data.quarterly.PLTR.push({ period: '2025-Q1', revenue: 884, source: 'pltr-2024-q4' });
+  assert.deepEqual(Fundamentals.validate(data), []);
+  const ttm = Fundamentals.trailingYear(data, 'PLTR');
+  assert.equal(ttm.quarters[3].period, '2024-Q4');
+  assert.ok(Number.isFinite(ttm.fcf));
+
+  data.quarterly.PLTR = data.quarterly.PLTR.filter(q => q.period.startsWith('2024'));
+  data.quarterly.PLTR.forEach(q => { delete q.fcf; });
+  assert.deepEqual(Fundamentals.validate(data), []);
+  const bare = Fundamentals.trailingYear(data, 'PLTR');
+  assert.equal(bare.revenue, 634 + 678 + 726 + 828);
+  assert.equal(bare.fcf, null);
+  assert.equal(bare.growth, null);
+});